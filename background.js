@@ -1,5 +1,18 @@
 // background.js - Minimal service worker
 
+importScripts(
+  "languages.js",
+  "leetcode-api.js",
+  "notion-client.js",
+  "profiles.js",
+  "notion-schema.js",
+  "review-scheduler.js",
+  "notion-sync.js",
+  "save-queue.js",
+  "timers.js",
+  "drafts.js",
+);
+
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === "install") {
     chrome.tabs
@@ -8,10 +21,377 @@ chrome.runtime.onInstalled.addListener((details) => {
       })
       .catch(() => {});
   }
+  ProblemTimers.migrateLegacyState().catch((error) =>
+    console.warn("Timer migration failed:", error),
+  );
+  Profiles.migrateLegacyCache().catch((error) =>
+    console.warn("Cache migration failed:", error),
+  );
+});
+
+// Save queue replay - one run at a time
+let saveQueueRun = null;
+
+function processSaveQueue() {
+  if (!saveQueueRun) {
+    saveQueueRun = (async () => {
+      if (!navigator.onLine) return;
+      await SaveQueue.process();
+    })()
+      .catch((error) => console.error("Save queue replay failed:", error))
+      .finally(() => {
+        saveQueueRun = null;
+      });
+  }
+  return saveQueueRun;
+}
+
+// Timer messages from the popup: { action, slug, elapsedMs? }
+const TIMER_ACTIONS = {
+  getTimer: ({ slug }) => ProblemTimers.get(slug),
+  startTimer: ({ slug }) => ProblemTimers.start(slug),
+  pauseTimer: ({ slug }) => ProblemTimers.pause(slug),
+  resetTimer: ({ slug }) => ProblemTimers.reset(slug),
+  setTimer: ({ slug, elapsedMs }) => ProblemTimers.set(slug, elapsedMs),
+};
+
+// Active time: only the focused problem tab, while the user is not idle
+const IDLE_DETECTION_SECONDS = 60;
+
+async function refreshTimerFocus() {
+  try {
+    let slug = null;
+    const idleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+    if (idleState === "active") {
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        lastFocusedWindow: true,
+      });
+      const window = tab ? await chrome.windows.get(tab.windowId) : null;
+      if (window?.focused) slug = ProblemTimers.slugFromUrl(tab.url);
+    }
+    await ProblemTimers.focus(slug);
+  } catch (error) {
+    console.warn("Failed to update timer focus:", error);
+  }
+}
+
+chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+chrome.idle.onStateChanged.addListener(() => refreshTimerFocus());
+chrome.tabs.onActivated.addListener(() => refreshTimerFocus());
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) refreshTimerFocus();
+});
+chrome.windows.onFocusChanged.addListener(() => refreshTimerFocus());
+refreshTimerFocus();
+
+// Timer auto-start (opt-in): "off" | "open" | "keystroke"
+async function getAutoStartMode() {
+  const { autoStartTimer } = await chrome.storage.local.get("autoStartTimer");
+  return ["open", "keystroke"].includes(autoStartTimer)
+    ? autoStartTimer
+    : "off";
+}
+
+/**
+ * Follow which problem each tab shows. When the last tab leaves a problem
+ * its timer is paused; opening a problem starts it in "open" mode.
+ * Updates are chained (like ProblemTimers.mutate) so tab events and
+ * content script messages arriving together cannot drop each other's entry.
+ */
+let tabTracking = Promise.resolve();
+
+function trackTabProblem(tabId, slug) {
+  const run = tabTracking.then(() => updateTabProblem(tabId, slug));
+  tabTracking = run.catch(() => {});
+  return run;
+}
+
+async function updateTabProblem(tabId, slug) {
+  const { tabSlugs = {} } = await chrome.storage.session.get("tabSlugs");
+  const previous = tabSlugs[tabId] || null;
+  if (previous === slug) return;
+
+  if (slug) {
+    tabSlugs[tabId] = slug;
+  } else {
+    delete tabSlugs[tabId];
+  }
+  await chrome.storage.session.set({ tabSlugs });
+
+  const mode = await getAutoStartMode();
+  if (mode === "off") return;
+  if (previous && !Object.values(tabSlugs).includes(previous)) {
+    await ProblemTimers.pause(previous);
+  }
+  if (slug && mode === "open") {
+    await ProblemTimers.start(slug);
+  }
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url) return;
+  trackTabProblem(tabId, ProblemTimers.slugFromUrl(changeInfo.url)).catch(
+    (error) => console.warn("Timer auto-start failed:", error),
+  );
+});
+chrome.tabs.onRemoved.addListener((tabId) => {
+  trackTabProblem(tabId, null).catch((error) =>
+    console.warn("Timer auto-start failed:", error),
+  );
+});
+
+// Problem page events from content.js: { action, slug }
+const PROBLEM_EVENTS = {
+  problemOpened: ({ slug }, sender) =>
+    sender.tab ? trackTabProblem(sender.tab.id, slug) : null,
+  problemActivity: async ({ slug }) => {
+    if ((await getAutoStartMode()) === "keystroke") {
+      await ProblemTimers.start(slug);
+    }
+  },
+  problemSolved: async ({ slug }) => {
+    if ((await getAutoStartMode()) !== "off") {
+      await ProblemTimers.pause(slug);
+    }
+  },
+};
+
+/**
+ * Save an Accepted submission reported by content.js, with the running
+ * timer's elapsed time and the submitted code.
+ */
+async function saveAcceptedSubmission({ problemData, submission }) {
+  const language = submission.lang || problemData.codeLanguage;
+  return await saveInBackground(
+    {
+      ...problemData,
+      code: submission.code || problemData.code,
+      codeLanguage: language,
+    },
+    { status: "Solved", language },
+  );
+}
+
+/**
+ * Save without the popup: routed profile, the problem's timer, failures go
+ * to the queue. `inputs` are the popup's form fields (status, language,
+ * notes, neededHint, canRedo).
+ * Returns { success, created?, url?, queued?, error? }
+ */
+async function saveInBackground(problemData, inputs) {
+  const { profileId } = await Profiles.route(problemData);
+  const settings = await NotionSync.loadSettings(profileId);
+  if (!settings.notionToken || !settings.databaseId) {
+    return {
+      success: false,
+      error: "Notion not configured. Open the extension options first.",
+    };
+  }
+
+  const slug = ProblemTimers.slugFromUrl(problemData.url);
+  const timer = await ProblemTimers.get(slug);
+  const record = {
+    ...NotionSync.buildRecord(
+      problemData,
+      {
+        ...inputs,
+        elapsedMs: timer.elapsedMs,
+        wallMs: timer.wallMs,
+        activeMs: timer.activeMs,
+      },
+      settings,
+    ),
+    profileId: settings.profileId,
+  };
+
+  if (!navigator.onLine) {
+    await SaveQueue.enqueue(record);
+    return { success: false, queued: true };
+  }
+
+  try {
+    const { page, created } = await new NotionSync(settings).saveRecord(record);
+    await ProblemTimers.reset(slug);
+    // The popup's draft for this problem belongs to the attempt just saved
+    await ProblemDrafts.clear(problemData).catch((error) =>
+      console.warn("Failed to clear draft:", error),
+    );
+    return { success: true, created, url: page.url };
+  } catch (error) {
+    console.error("Auto-save failed:", error);
+    const item = await SaveQueue.enqueue(record, error);
+    return {
+      success: false,
+      queued: item.status === "pending",
+      error: error.message,
+    };
+  }
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (PROBLEM_EVENTS[request.action]) {
+    Promise.resolve(PROBLEM_EVENTS[request.action](request, sender))
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true; // Will respond asynchronously
+  }
+
+  if (TIMER_ACTIONS[request.action]) {
+    TIMER_ACTIONS[request.action](request)
+      .then((timer) => sendResponse({ success: true, timer }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true; // Will respond asynchronously
+  }
+
+  if (request.action === "processSaveQueue") {
+    processSaveQueue().then(() => sendResponse({ success: true }));
+    return true; // Will respond asynchronously
+  }
+
+  // Save from the in-page widget: { problemData, inputs }
+  if (request.action === "saveProblem") {
+    const { status, language } = request.inputs;
+    chrome.storage.local
+      .set({ saveDefaults: { status, language } })
+      .then(() => saveInBackground(request.problemData, request.inputs))
+      .then(sendResponse)
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true; // Will respond asynchronously
+  }
+
+  if (request.action === "saveAcceptedSubmission") {
+    saveAcceptedSubmission(request)
+      .then(sendResponse)
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true; // Will respond asynchronously
+  }
+});
+
+// ============================================================================
+// KEYBOARD COMMANDS
+// ============================================================================
+
+const BADGE_COLORS = {
+  success: "#00b8a3",
+  info: "#0b7ed0",
+  error: "#ef4743",
+};
+
+/**
+ * Short badge on the toolbar icon for the tab; the tooltip carries the
+ * full message. Cleared after a few seconds.
+ */
+async function showBadge(tabId, text, type, message) {
+  try {
+    await chrome.action.setBadgeBackgroundColor({
+      tabId,
+      color: BADGE_COLORS[type],
+    });
+    await chrome.action.setBadgeText({ tabId, text });
+    await chrome.action.setTitle({ tabId, title: message });
+  } catch (error) {
+    return; // Tab closed meanwhile
+  }
+
+  setTimeout(() => {
+    chrome.action.setBadgeText({ tabId, text: "" }).catch(() => {});
+    chrome.action
+      .setTitle({ tabId, title: chrome.runtime.getManifest().name })
+      .catch(() => {});
+  }, 4000);
+}
+
+async function extractProblemDataFromTab(tabId, language = null) {
+  const request = { action: "extractProblemData", includeCode: true, language };
+  try {
+    return await chrome.tabs.sendMessage(tabId, request);
+  } catch (error) {
+    // Content script not loaded yet (tab opened before install / update)
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ["languages.js", "leetcode-api.js", "content.js"],
+    });
+    return await chrome.tabs.sendMessage(tabId, request);
+  }
+}
+
+/**
+ * "Quick save": the popup's last used status and language (the editor's
+ * language before anything was saved) and the problem's timer
+ */
+async function quickSave(tab, slug) {
+  const { saveDefaults = {} } = await chrome.storage.local.get("saveDefaults");
+  const response = await extractProblemDataFromTab(
+    tab.id,
+    saveDefaults.language || null,
+  );
+  if (!response?.success) {
+    throw new Error(response?.error || "Failed to extract problem data");
+  }
+
+  const result = await saveInBackground(response.data, {
+    status: saveDefaults.status || "Solved",
+    language: saveDefaults.language || response.data.codeLanguage,
+  });
+
+  if (result.success) {
+    return [
+      "✓",
+      "success",
+      result.created ? "Saved to Notion" : "Logged a new attempt in Notion",
+    ];
+  }
+  if (result.queued) {
+    return ["…", "info", "Saved to the queue - it will sync automatically"];
+  }
+  throw new Error(result.error || "Save failed");
+}
+
+const COMMANDS = {
+  "toggle-timer": async (tab, slug) => {
+    const timer = await ProblemTimers.get(slug);
+    if (timer.isRunning) {
+      await ProblemTimers.pause(slug);
+      return ["❚❚", "info", `Timer paused for ${slug}`];
+    }
+    await ProblemTimers.start(slug);
+    return ["▶", "success", `Timer started for ${slug}`];
+  },
+  "reset-timer": async (tab, slug) => {
+    await ProblemTimers.reset(slug);
+    return ["0", "info", `Timer reset for ${slug}`];
+  },
+  "quick-save": quickSave,
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!COMMANDS[command]) return;
+
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  }
+  if (!tab) return;
+
+  const slug = ProblemTimers.slugFromUrl(tab.url);
+  if (!slug) {
+    await showBadge(tab.id, "!", "error", "Open a LeetCode problem first");
+    return;
+  }
+
+  try {
+    const [text, type, message] = await COMMANDS[command](tab, slug);
+    await showBadge(tab.id, text, type, message);
+  } catch (error) {
+    console.error(`Command ${command} failed:`, error);
+    await showBadge(tab.id, "!", "error", error.message);
+  }
 });
 
-// Keep alive
+// Keep alive - also replays queued saves
 chrome.alarms.create("keepAlive", { periodInMinutes: 1 });
-chrome.alarms.onAlarm.addListener(() => {
-  chrome.storage.local.get("timerState", () => {});
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === "keepAlive") {
+    processSaveQueue();
+  }
 });
@@ -0,0 +1,212 @@
+// backup.js - Export / import of everything the extension keeps locally
+
+const BACKUP_FORMAT = "leetcode-notion-backup";
+const BACKUP_VERSION = 1;
+
+/**
+ * Storage keys included in a backup, with a validator for each value.
+ * Keys starting with a prefix in BACKUP_PREFIXES are included as well.
+ */
+const BACKUP_KEYS = {
+  notionToken: (value) => typeof value === "string",
+  databaseId: (value) => typeof value === "string",
+  propertyMapping: (value) => ExtensionBackup.isPlainObject(value),
+  [PROFILES_KEY]: (value) =>
+    Array.isArray(value) &&
+    value.every(
+      (profile) =>
+        typeof profile?.id === "string" && typeof profile.name === "string",
+    ),
+  [ACTIVE_PROFILE_KEY]: (value) => typeof value === "string",
+  [ROUTING_RULES_KEY]: (value) =>
+    Array.isArray(value) &&
+    value.every((rule) => rule?.field && rule.profileId),
+  reviewIntervals: (value) =>
+    Array.isArray(value) && value.every((day) => Number.isInteger(day)),
+  onAccepted: (value) => ["prompt", "save", "off"].includes(value),
+  timerMode: (value) => ["wall", "active"].includes(value),
+  autoStartTimer: (value) => ["off", "open", "keystroke"].includes(value),
+  saveDefaults: (value) => ExtensionBackup.isPlainObject(value),
+  showWidget: (value) => typeof value === "boolean",
+  widgetState: (value) => ExtensionBackup.isPlainObject(value),
+  canonicalSite: (value) =>
+    ["leetcode.com", "leetcode.cn", "current"].includes(value),
+  [SAVE_QUEUE_KEY]: (value) =>
+    Array.isArray(value) && value.every((item) => item?.id && item?.data),
+  [TIMERS_KEY]: (value) => ExtensionBackup.isPlainObject(value),
+};
+
+const BACKUP_PREFIXES = {
+  problem_: (value) =>
+    ExtensionBackup.isPlainObject(value) && typeof value.pageId === "string",
+  [DRAFT_PREFIX]: (value) => ExtensionBackup.isPlainObject(value),
+};
+
+class ExtensionBackup {
+  static isPlainObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  }
+
+  static isBackupKey(key) {
+    return (
+      Object.hasOwn(BACKUP_KEYS, key) ||
+      Object.keys(BACKUP_PREFIXES).some((prefix) => key.startsWith(prefix))
+    );
+  }
+
+  static validatorFor(key) {
+    if (Object.hasOwn(BACKUP_KEYS, key)) return BACKUP_KEYS[key];
+    const prefix = Object.keys(BACKUP_PREFIXES).find((name) =>
+      key.startsWith(name),
+    );
+    return prefix ? BACKUP_PREFIXES[prefix] : null;
+  }
+
+  /**
+   * Versioned backup object; tokens are only included on request
+   */
+  static async create({ includeToken = false } = {}) {
+    const stored = await chrome.storage.local.get(null);
+    const data = {};
+    for (const [key, value] of Object.entries(stored)) {
+      if (!ExtensionBackup.isBackupKey(key)) continue;
+      if (key === "notionToken" && !includeToken) continue;
+      data[key] =
+        key === PROFILES_KEY && !includeToken
+          ? value.map((profile) => ({ ...profile, notionToken: "" }))
+          : value;
+    }
+
+    const hasToken =
+      Boolean(data.notionToken) ||
+      (data[PROFILES_KEY] || []).some((profile) => profile.notionToken);
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      includesToken: Boolean(includeToken && hasToken),
+      data,
+    };
+  }
+
+  /**
+   * Throws with a readable message if `backup` can't be imported.
+   * Unknown keys are ignored; invalid values of known keys are rejected.
+   */
+  static validate(backup) {
+    if (!ExtensionBackup.isPlainObject(backup)) {
+      throw new Error("This file is not a LeetCode to Notion backup.");
+    }
+    if (backup.format !== BACKUP_FORMAT) {
+      throw new Error("This file is not a LeetCode to Notion backup.");
+    }
+    if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+      throw new Error(
+        `Unsupported backup version ${backup.version}. Update the extension and try again.`,
+      );
+    }
+    if (!ExtensionBackup.isPlainObject(backup.data)) {
+      throw new Error("The backup has no data.");
+    }
+
+    for (const [key, value] of Object.entries(backup.data)) {
+      const validator = ExtensionBackup.validatorFor(key);
+      if (validator && !validator(value)) {
+        throw new Error(`The backup has an invalid value for "${key}".`);
+      }
+    }
+  }
+
+  /**
+   * Merge a validated backup into storage:
+   * - settings from the backup replace the current ones
+   * - profiles are replaced by id, keeping the local token when the backup
+   *   has none
+   * - cached pages and drafts keep whichever entry is newer (pre-profile
+   *   cache entries are moved to the default profile)
+   * - queued saves and timers are combined; local ones win on conflict
+   * Returns the number of keys written.
+   */
+  static async merge(backup) {
+    ExtensionBackup.validate(backup);
+
+    const current = await chrome.storage.local.get(null);
+    const updates = {};
+
+    for (let [key, value] of Object.entries(backup.data)) {
+      if (!ExtensionBackup.isBackupKey(key)) continue;
+      if (/^problem_\d+$/.test(key)) {
+        key = key.replace("problem_", `problem_${DEFAULT_PROFILE_ID}_`);
+      }
+
+      if (key.startsWith("problem_") || key.startsWith(DRAFT_PREFIX)) {
+        if ((current[key]?.timestamp || 0) < (value.timestamp || 0)) {
+          updates[key] = value;
+        }
+      } else if (key === SAVE_QUEUE_KEY) {
+        const local = current[key] || [];
+        const ids = new Set(local.map((item) => item.id));
+        updates[key] = [...local, ...value.filter((item) => !ids.has(item.id))];
+      } else if (key === PROFILES_KEY) {
+        // Includes the profile built from legacy single-destination keys
+        const local = await Profiles.list();
+        const merged = value.map((profile) => ({
+          ...profile,
+          notionToken:
+            profile.notionToken ||
+            local.find(({ id }) => id === profile.id)?.notionToken ||
+            "",
+        }));
+        const ids = new Set(merged.map((profile) => profile.id));
+        updates[key] = [
+          ...merged,
+          ...local.filter((profile) => !ids.has(profile.id)),
+        ];
+      } else if (key === TIMERS_KEY) {
+        updates[key] = { ...value, ...(current[key] || {}) };
+      } else {
+        updates[key] = value;
+      }
+    }
+
+    // Backups from before profiles hold a single destination: fold it into
+    // the default profile once profiles exist locally
+    const legacy = LEGACY_PROFILE_KEYS.filter((key) => key in updates);
+    if (legacy.length > 0 && !updates[PROFILES_KEY] && current[PROFILES_KEY]) {
+      const settings = Object.fromEntries(
+        legacy.map((key) => [key, updates[key]]),
+      );
+      legacy.forEach((key) => delete updates[key]);
+
+      const profiles = current[PROFILES_KEY];
+      updates[PROFILES_KEY] = profiles.some(
+        (profile) => profile.id === DEFAULT_PROFILE_ID,
+      )
+        ? profiles.map((profile) =>
+            profile.id === DEFAULT_PROFILE_ID
+              ? { ...profile, ...settings }
+              : profile,
+          )
+        : [
+            ...profiles,
+            {
+              id: DEFAULT_PROFILE_ID,
+              name: "Default",
+              notionToken: "",
+              databaseId: "",
+              propertyMapping: {},
+              ...settings,
+            },
+          ];
+    }
+
+    await chrome.storage.local.set(updates);
+    // Profiles now hold the destination the legacy keys described
+    if (updates[PROFILES_KEY]) {
+      await chrome.storage.local.remove(
+        LEGACY_PROFILE_KEYS.filter((key) => !(key in updates)),
+      );
+    }
+    return Object.keys(updates).length;
+  }
+}
@@ -19,38 +19,59 @@ if (globalThis.__LEETCODE_NOTION_CONTENT_LOADED__) {
           throw new Error("Not on a LeetCode problem page");
         }
 
-        // Wait for page to load with shorter timeout
-        await this.waitForElement('[data-cy="question-title"]', 3000).catch(
-          () => {
-            // If specific element not found, still try to continue
-            console.log(
-              "Question title element not found, trying alternatives",
-            );
-          },
-        );
-
         const includeCode = options.includeCode === true;
-        const language = options.language || "python";
+        const language =
+          Languages.normalize(options.language) ||
+          this.extractLanguage() ||
+          "python3";
         const cached = this.getCachedProblemData();
         if (cached && cached.url === window.location.href) {
           return {
             ...cached,
+            ...this.extractSubmissionStats(),
             code: includeCode ? await this.extractCode(language) : null,
             codeLanguage: includeCode ? language : null,
           };
         }
 
+        // LeetCode's own API first; DOM scraping only if that fails
+        const metadata = await this.fetchQuestionMetadata(
+          this.extractProblemSlug(),
+        );
+
+        if (!metadata) {
+          // Wait for page to load with shorter timeout
+          await this.waitForElement('[data-cy="question-title"]', 3000).catch(
+            () => {
+              // If specific element not found, still try to continue
+              console.log(
+                "Question title element not found, trying alternatives",
+              );
+            },
+          );
+        }
+
         const data = {
           url: window.location.href,
-          title: this.extractTitle(),
-          number: this.extractProblemNumber(),
-          difficulty: await this.extractDifficulty(),
-          tags: await this.extractTags(),
-          description: null,
+          slug: this.extractProblemSlug(),
+          title: metadata?.title || this.extractTitle(),
+          englishTitle: metadata?.englishTitle || null,
+          translatedTitle: metadata?.translatedTitle || null,
+          number: metadata?.number ?? this.extractProblemNumber(),
+          frontendId: metadata?.frontendId || null,
+          difficulty: metadata?.difficulty || (await this.extractDifficulty()),
+          tags: metadata?.tags || (await this.extractTags()),
+          description: metadata?.description?.length
+            ? metadata.description
+            : this.extractDescription(),
           companies: await this.extractCompanies(),
-          acceptance: this.extractAcceptance(),
+          acceptance: metadata?.acceptance || this.extractAcceptance(),
+          similarQuestions:
+            metadata?.similarQuestions || this.extractSimilarQuestions(),
+          paidOnly: metadata?.paidOnly ?? null,
           timestamp: new Date().toISOString(),
           domain: this.isChinese ? "leetcode.cn" : "leetcode.com",
+          ...this.extractSubmissionStats(),
           code: includeCode ? await this.extractCode(language) : null,
           codeLanguage: includeCode ? language : null,
         };
@@ -63,6 +84,62 @@ if (globalThis.__LEETCODE_NOTION_CONTENT_LOADED__) {
       }
     }
 
+    // ============================================================================
+    // GRAPHQL METADATA
+    // ============================================================================
+
+    /**
+     * Problem metadata from the site's same-origin GraphQL endpoint.
+     * Returns null on any failure so callers fall back to the DOM.
+     */
+    async fetchQuestionMetadata(slug) {
+      if (!slug) return null;
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 5000);
+      try {
+        const csrfToken = document.cookie.match(/csrftoken=([^;]+)/)?.[1];
+        const response = await fetch("/graphql/", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(csrfToken ? { "x-csrftoken": csrfToken } : {}),
+          },
+          body: JSON.stringify({
+            query: LeetCodeApi.questionQuery(this.isChinese),
+            variables: { titleSlug: slug },
+          }),
+          credentials: "same-origin",
+          signal: controller.signal,
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const json = await response.json();
+        const question = json?.data?.question;
+        if (!question) throw new Error("Question not found");
+
+        const { contentHtml, ...metadata } = LeetCodeApi.normalizeQuestion(
+          question,
+          this.isChinese,
+        );
+        metadata.description = contentHtml
+          ? new StatementConverter().convert(
+              new DOMParser().parseFromString(contentHtml, "text/html").body,
+            )
+          : [];
+        return metadata;
+      } catch (error) {
+        console.warn("GraphQL lookup failed, using page content:", error);
+        return null;
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+
+    // ============================================================================
+    // DOM FALLBACKS
+    // ============================================================================
+
     extractTitle() {
       // Try multiple selectors
       const selectors = [
@@ -198,6 +275,9 @@ if (globalThis.__LEETCODE_NOTION_CONTENT_LOADED__) {
       return tags;
     }
 
+    /**
+     * Problem statement as Notion blocks (see StatementConverter)
+     */
     extractDescription() {
       const selectors = [
         '[data-track-load="description_content"]',
@@ -209,24 +289,23 @@ if (globalThis.__LEETCODE_NOTION_CONTENT_LOADED__) {
       for (const selector of selectors) {
         const element = document.querySelector(selector);
         if (element) {
-          // Get clean text without code blocks initially
-          const text = element.textContent.trim().substring(0, 500);
-          return text + (element.textContent.length > 500 ? "..." : "");
+          return new StatementConverter().convert(element);
         }
       }
 
-      return "";
+      return [];
     }
 
     async extractCompanies() {
       // Companies might require expansion or additional API calls
       const companies = [];
       const companyElements = document.querySelectorAll(
-        '[data-cy="company-tag"], .company-tag',
+        '[data-cy="company-tag"], .company-tag, a[href*="/company/"]',
       );
 
       companyElements.forEach((el) => {
-        const company = el.textContent.trim();
+        // Drop trailing counts like "Amazon 12"
+        const company = el.textContent.trim().replace(/\s+\d+$/, "");
         if (company && !companies.includes(company)) {
           companies.push(company);
         }
@@ -235,6 +314,59 @@ if (globalThis.__LEETCODE_NOTION_CONTENT_LOADED__) {
       return companies;
     }
 
+    /**
+     * Links under the "Similar Questions" heading:
+     * [{ title, titleSlug, difficulty }] like the GraphQL field.
+     * Empty when the section can't be told apart from the rest of the page.
+     */
+    extractSimilarQuestions() {
+      const headings = [...document.querySelectorAll("div, h3, span")].filter(
+        (el) =>
+          el.children.length === 0 &&
+          /^(Similar Questions|相似题目)$/.test(el.textContent.trim()),
+      );
+      if (headings.length !== 1) return [];
+
+      // The section is the nearest ancestor of the heading with problem links
+      let container = headings[0].parentElement;
+      for (let depth = 0; container && depth < 4; depth++) {
+        if (container.querySelector('a[href*="/problems/"]')) break;
+        container = container.parentElement;
+      }
+      if (!container || !this.isOwnSection(container)) return [];
+
+      const current = this.extractProblemSlug();
+      const similar = [];
+      container.querySelectorAll('a[href*="/problems/"]').forEach((link) => {
+        const titleSlug = LeetCodeApi.slugFromUrl(link.href);
+        const title = link.textContent.trim();
+        if (
+          titleSlug &&
+          title &&
+          titleSlug !== current &&
+          !similar.some((item) => item.titleSlug === titleSlug)
+        ) {
+          similar.push({ title, titleSlug, difficulty: null });
+        }
+      });
+      return similar;
+    }
+
+    /**
+     * A sidebar section holds its own heading and links only: no statement,
+     * topic tags, companies or other collapsible sections
+     */
+    isOwnSection(container) {
+      return !container.querySelector(
+        [
+          '[data-track-load="description_content"]',
+          'a[href*="/tag/"]',
+          'a[href*="/company/"]',
+          '[data-cy="company-tag"]',
+        ].join(", "),
+      );
+    }
+
     extractAcceptance() {
       const selectors = ['div:contains("Acceptance")', ".text-green-s"];
 
@@ -275,11 +407,134 @@ if (globalThis.__LEETCODE_NOTION_CONTENT_LOADED__) {
       }
     }
 
+    // ============================================================================
+    // SUBMISSION RESULTS (reported by page-hook.js, kept for this tab session)
+    // ============================================================================
+
+    /**
+     * Runtime / memory of the last Accepted submission and the failed
+     * submissions before it, for the current problem
+     */
+    extractSubmissionStats() {
+      const log = this.getSubmissionLog()[this.extractProblemSlug()] || {};
+      const failures = log.accepted
+        ? log.accepted.failures
+        : log.failures || [];
+      const accepted = log.accepted || {};
+
+      return {
+        runtimeMs: accepted.runtimeMs ?? null,
+        runtimePercentile: accepted.runtimePercentile ?? null,
+        memoryMb: accepted.memoryMb ?? null,
+        memoryPercentile: accepted.memoryPercentile ?? null,
+        failedAttempts:
+          log.accepted || failures.length > 0 ? failures.length : null,
+        failureKinds: [...new Set(failures.map((failure) => failure.status))],
+      };
+    }
+
+    recordSubmissionResult(submission) {
+      const slug = submission.slug || this.extractProblemSlug();
+      const result = submission.result || {};
+      if (!slug || !result.status_msg) return;
+
+      const submissions = this.getSubmissionLog();
+      const log = submissions[slug] || { failures: [], seen: [] };
+      if (log.seen.includes(submission.id)) return;
+      log.seen.push(submission.id);
+
+      if (result.status_msg === "Accepted") {
+        // Failures are counted up to each Accepted, then start over
+        log.accepted = {
+          runtimeMs: this.parseMeasure(result.status_runtime, { s: 1000 }),
+          runtimePercentile: this.roundPercentile(result.runtime_percentile),
+          memoryMb: this.parseMeasure(result.status_memory, {
+            kb: 1 / 1024,
+            gb: 1024,
+          }),
+          memoryPercentile: this.roundPercentile(result.memory_percentile),
+          failures: log.failures,
+        };
+        log.failures = [];
+      } else {
+        log.failures.push({ id: submission.id, status: result.status_msg });
+      }
+
+      submissions[slug] = log;
+      try {
+        sessionStorage.setItem(
+          "leetcode_notion_submissions",
+          JSON.stringify(submissions),
+        );
+      } catch (error) {
+        // Ignore storage failures.
+      }
+    }
+
+    getSubmissionLog() {
+      try {
+        const raw = sessionStorage.getItem("leetcode_notion_submissions");
+        const parsed = raw ? JSON.parse(raw) : null;
+        return parsed && typeof parsed === "object" ? parsed : {};
+      } catch (error) {
+        return {};
+      }
+    }
+
+    /**
+     * "3 ms" -> 3, "16.5 MB" -> 16.5; unit factors convert to the base unit
+     */
+    parseMeasure(text, factors = {}) {
+      const match = String(text || "").match(/([\d.]+)\s*([a-zA-Z]*)/);
+      if (!match) return null;
+      const value = Number.parseFloat(match[1]);
+      if (!Number.isFinite(value)) return null;
+      const factor = factors[match[2].toLowerCase()] || 1;
+      return Math.round(value * factor * 100) / 100;
+    }
+
+    roundPercentile(value) {
+      const number = Number(value);
+      return Number.isFinite(number) && value !== null
+        ? Math.round(number * 100) / 100
+        : null;
+    }
+
     extractProblemSlug() {
       const match = window.location.pathname.match(/\/problems\/([^\/]+)/);
       return match ? match[1] : null;
     }
 
+    /**
+     * Language selected in LeetCode's editor, as a LeetCode slug
+     */
+    extractLanguage() {
+      // Editor toolbar language picker (new UI, then the classic UI)
+      const selectors = [
+        '#editor button[aria-haspopup="dialog"]',
+        'button[id^="headlessui-popover-button"]',
+        '[data-cy="lang-select"]',
+        ".ant-select-selection-selected-value",
+      ];
+      for (const selector of selectors) {
+        for (const element of document.querySelectorAll(selector)) {
+          const slug = Languages.normalize(element.textContent);
+          if (slug) return slug;
+        }
+      }
+
+      // Last language picked, persisted by LeetCode as a JSON string
+      try {
+        const stored = window.localStorage.getItem("global_lang") || "";
+        const slug = Languages.normalize(stored.replace(/"/g, ""));
+        if (slug) return slug;
+      } catch (error) {
+        // Storage can be unavailable; fall through
+      }
+
+      return null;
+    }
+
     async extractCode(language) {
       const codeFromDom = this.extractCodeFromDom();
       if (codeFromDom) return codeFromDom;
@@ -400,7 +655,11 @@ if (globalThis.__LEETCODE_NOTION_CONTENT_LOADED__) {
       )
         .toLowerCase()
         .trim();
-      return candidate ? candidate.includes(lang) : true;
+      if (!candidate) return true;
+      return (
+        Languages.normalize(candidate) === Languages.normalize(lang) ||
+        candidate.includes(lang)
+      );
     }
 
     looksLikeCode(text) {
@@ -446,6 +705,926 @@ if (globalThis.__LEETCODE_NOTION_CONTENT_LOADED__) {
     }
   }
 
+  // Convert a problem statement's HTML into Notion blocks
+  class StatementConverter {
+    static MAX_BLOCKS = 95; // Notion accepts 100 children per request
+    static BLOCK_TAGS = new Set([
+      "P",
+      "DIV",
+      "SECTION",
+      "BLOCKQUOTE",
+      "PRE",
+      "UL",
+      "OL",
+      "LI",
+      "IMG",
+      "H1",
+      "H2",
+      "H3",
+      "H4",
+      "H5",
+      "H6",
+      "TABLE",
+      "HR",
+    ]);
+
+    convert(root) {
+      const blocks = [];
+      this.convertChildren(root, blocks);
+
+      if (blocks.length > StatementConverter.MAX_BLOCKS) {
+        blocks.length = StatementConverter.MAX_BLOCKS;
+        blocks.push(this.paragraph([this.text("… (statement truncated)")]));
+      }
+      return blocks;
+    }
+
+    convertChildren(node, blocks) {
+      let inline = [];
+      const flush = () => {
+        const richText = this.trimRichText(inline);
+        if (richText.length > 0) blocks.push(this.paragraph(richText));
+        inline = [];
+      };
+
+      for (const child of node.childNodes) {
+        if (
+          child.nodeType === Node.ELEMENT_NODE &&
+          StatementConverter.BLOCK_TAGS.has(child.tagName)
+        ) {
+          flush();
+          this.convertBlock(child, blocks);
+        } else {
+          inline.push(...this.richText(child));
+        }
+      }
+      flush();
+    }
+
+    convertBlock(element, blocks) {
+      switch (element.tagName) {
+        case "P":
+        case "LI": {
+          // Paragraphs rarely hold block children, but images do appear
+          this.convertChildren(element, blocks);
+          break;
+        }
+        case "PRE":
+          blocks.push(this.codeBlock(element.textContent));
+          break;
+        case "UL":
+        case "OL":
+          this.convertList(element, blocks);
+          break;
+        case "IMG":
+          this.pushImage(element, blocks);
+          break;
+        case "H1":
+        case "H2":
+        case "H3":
+        case "H4":
+        case "H5":
+        case "H6": {
+          const richText = this.trimRichText(this.richText(element));
+          if (richText.length > 0) {
+            blocks.push({
+              object: "block",
+              type: "heading_3",
+              heading_3: { rich_text: richText },
+            });
+          }
+          break;
+        }
+        case "TABLE":
+          blocks.push(this.codeBlock(element.innerText || element.textContent));
+          break;
+        case "HR":
+          blocks.push({ object: "block", type: "divider", divider: {} });
+          break;
+        default:
+          this.convertChildren(element, blocks);
+      }
+    }
+
+    /**
+     * Nested lists are flattened: Notion only allows two levels of nesting
+     * in one request and the statement already sits inside a toggle.
+     */
+    convertList(list, blocks) {
+      const type =
+        list.tagName === "OL" ? "numbered_list_item" : "bulleted_list_item";
+
+      for (const item of list.children) {
+        if (item.tagName !== "LI") continue;
+
+        const inline = [];
+        const nested = [];
+        for (const child of item.childNodes) {
+          if (
+            child.nodeType === Node.ELEMENT_NODE &&
+            StatementConverter.BLOCK_TAGS.has(child.tagName) &&
+            child.tagName !== "P"
+          ) {
+            this.convertBlock(child, nested);
+          } else {
+            inline.push(...this.richText(child));
+          }
+        }
+
+        const richText = this.trimRichText(inline);
+        if (richText.length > 0) {
+          blocks.push({
+            object: "block",
+            type,
+            [type]: { rich_text: richText },
+          });
+        }
+        blocks.push(...nested);
+      }
+    }
+
+    pushImage(img, blocks) {
+      const src = img.getAttribute("src");
+      if (!src) return;
+      try {
+        const url = new URL(src, window.location.origin).href;
+        if (!url.startsWith("http")) return;
+        blocks.push({
+          object: "block",
+          type: "image",
+          image: { type: "external", external: { url } },
+        });
+      } catch (error) {
+        // Skip images with unusable URLs
+      }
+    }
+
+    /**
+     * Inline content -> Notion rich_text items
+     */
+    richText(node, annotations = {}, link = null) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const content = node.textContent
+          .replace(/\u00a0/g, " ")
+          .replace(/\s+/g, " ");
+        return content ? [this.text(content, annotations, link)] : [];
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return [];
+
+      const tag = node.tagName;
+      if (tag === "BR") return [this.text("\n", annotations, link)];
+      if (tag === "IMG" || tag === "SCRIPT" || tag === "STYLE") return [];
+
+      // KaTeX: keep the TeX source as an inline equation
+      if (node.classList?.contains("katex")) {
+        const tex = node.querySelector(
+          'annotation[encoding="application/x-tex"]',
+        );
+        if (tex) {
+          return [
+            {
+              type: "equation",
+              equation: { expression: tex.textContent.trim() },
+            },
+          ];
+        }
+      }
+
+      const next = { ...annotations };
+      if (tag === "STRONG" || tag === "B") next.bold = true;
+      if (tag === "EM" || tag === "I") next.italic = true;
+      if (tag === "CODE") next.code = true;
+      if (tag === "U") next.underline = true;
+      if (tag === "S" || tag === "DEL") next.strikethrough = true;
+
+      let nextLink = link;
+      if (tag === "A" && node.getAttribute("href")) {
+        try {
+          nextLink = new URL(node.getAttribute("href"), window.location.origin)
+            .href;
+        } catch (error) {
+          nextLink = link;
+        }
+      }
+
+      const items = [];
+      // 10<sup>4</sup> -> 10^4, x<sub>i</sub> -> x_i
+      if (tag === "SUP") items.push(this.text("^", next, nextLink));
+      if (tag === "SUB") items.push(this.text("_", next, nextLink));
+      for (const child of node.childNodes) {
+        items.push(...this.richText(child, next, nextLink));
+      }
+      return items;
+    }
+
+    text(content, annotations = {}, link = null) {
+      return {
+        type: "text",
+        text: { content, ...(link ? { link: { url: link } } : {}) },
+        ...(Object.keys(annotations).length > 0 ? { annotations } : {}),
+      };
+    }
+
+    /**
+     * Merge neighbours with equal formatting, trim the edges and respect
+     * Notion's 2000-character / 100-item limits.
+     */
+    trimRichText(items) {
+      const merged = [];
+      for (const item of items) {
+        const last = merged[merged.length - 1];
+        if (
+          last &&
+          item.type === "text" &&
+          last.type === "text" &&
+          JSON.stringify(last.annotations) ===
+            JSON.stringify(item.annotations) &&
+          last.text.link?.url === item.text.link?.url
+        ) {
+          last.text.content += item.text.content;
+        } else {
+          merged.push(JSON.parse(JSON.stringify(item)));
+        }
+      }
+
+      if (merged[0]?.type === "text") {
+        merged[0].text.content = merged[0].text.content.replace(/^\s+/, "");
+      }
+      const lastItem = merged[merged.length - 1];
+      if (lastItem?.type === "text") {
+        lastItem.text.content = lastItem.text.content.replace(/\s+$/, "");
+      }
+
+      const result = [];
+      for (const item of merged) {
+        if (item.type !== "text") {
+          result.push(item);
+          continue;
+        }
+        const content = item.text.content;
+        for (let i = 0; i < content.length; i += 2000) {
+          result.push({
+            ...item,
+            text: { ...item.text, content: content.slice(i, i + 2000) },
+          });
+        }
+      }
+      return result.slice(0, 100);
+    }
+
+    paragraph(richText) {
+      return {
+        object: "block",
+        type: "paragraph",
+        paragraph: { rich_text: richText },
+      };
+    }
+
+    codeBlock(text) {
+      const content = text.replace(/\u00a0/g, " ").trim();
+      const chunks = [];
+      for (let i = 0; i < content.length; i += 2000) {
+        chunks.push({
+          type: "text",
+          text: { content: content.slice(i, i + 2000) },
+        });
+      }
+      return {
+        object: "block",
+        type: "code",
+        code: { rich_text: chunks, language: "plain text" },
+      };
+    }
+  }
+
+  // In-page toast (Shadow DOM so LeetCode's styles can't leak in)
+  class NotionToast {
+    constructor() {
+      this.host = null;
+      this.shadow = null;
+      this.hideTimer = null;
+    }
+
+    ensureRoot() {
+      if (this.host?.isConnected) return this.shadow;
+
+      this.host = document.createElement("div");
+      this.host.id = "leetcode-notion-toast";
+      this.shadow = this.host.attachShadow({ mode: "open" });
+      this.shadow.innerHTML = `
+        <style>
+          .toast {
+            position: fixed;
+            right: 20px;
+            bottom: 20px;
+            z-index: 2147483647;
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            max-width: 360px;
+            padding: 12px 14px;
+            border-radius: 10px;
+            border: 1px solid #e6e6e6;
+            background: #fff;
+            color: #202020;
+            box-shadow: 0 8px 24px rgba(22, 30, 45, 0.18);
+            font: 13px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI",
+              Roboto, sans-serif;
+          }
+          .toast.success { border-color: #b4ece3; background: #eafaf7; }
+          .toast.error { border-color: #ffd0d5; background: #fff1f2; }
+          .message { flex: 1; }
+          button {
+            padding: 6px 10px;
+            border: 1px solid #d6d6d6;
+            border-radius: 8px;
+            background: #fff;
+            font: inherit;
+            font-weight: 600;
+            cursor: pointer;
+          }
+          button.primary {
+            border-color: #ffa116;
+            background: #ffa116;
+            color: #fff;
+          }
+        </style>
+        <div class="toast" role="status" aria-live="polite" hidden></div>
+      `;
+      document.documentElement.appendChild(this.host);
+      return this.shadow;
+    }
+
+    show(message, { type = "info", actions = [], timeout = 6000 } = {}) {
+      const toast = this.ensureRoot().querySelector(".toast");
+      toast.className = `toast ${type}`;
+      toast.innerHTML = "";
+
+      const text = document.createElement("span");
+      text.className = "message";
+      text.textContent = message;
+      toast.appendChild(text);
+
+      actions.forEach((action) => {
+        const button = document.createElement("button");
+        button.textContent = action.label;
+        if (action.primary) button.className = "primary";
+        button.addEventListener("click", () => {
+          this.hide();
+          action.onClick?.();
+        });
+        toast.appendChild(button);
+      });
+
+      toast.hidden = false;
+      clearTimeout(this.hideTimer);
+      if (timeout) {
+        this.hideTimer = setTimeout(() => this.hide(), timeout);
+      }
+    }
+
+    hide() {
+      clearTimeout(this.hideTimer);
+      const toast = this.shadow?.querySelector(".toast");
+      if (toast) toast.hidden = true;
+    }
+  }
+
+  // Opt-in timer auto-start; the timer itself runs in the background worker
+  class TimerAutoStarter {
+    constructor() {
+      this.startedSlug = null;
+      this.solvedSlug = null;
+
+      this.notify("problemOpened", this.currentSlug());
+      document.addEventListener("keydown", (event) => this.onKeydown(event), {
+        capture: true,
+      });
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === "local" && changes.timers) {
+          this.onTimersChanged(changes.timers.newValue || {});
+        }
+      });
+    }
+
+    /**
+     * The background pauses a timer once no tab shows its problem. Forget
+     * it here too, so typing restarts it when the tab comes back.
+     */
+    onTimersChanged(timers) {
+      if (!this.startedSlug || this.startedSlug === this.currentSlug()) return;
+      if (!timers[this.startedSlug]?.startedAt) this.startedSlug = null;
+    }
+
+    currentSlug() {
+      return new LeetCodeExtractor().extractProblemSlug();
+    }
+
+    /**
+     * First keystroke in the code editor (per problem, until it is solved)
+     */
+    onKeydown(event) {
+      if (!event.target?.closest?.(".monaco-editor")) return;
+      const slug = this.currentSlug();
+      if (!slug || slug === this.startedSlug || slug === this.solvedSlug) {
+        return;
+      }
+      this.startedSlug = slug;
+      this.notify("problemActivity", slug);
+    }
+
+    markSolved(slug) {
+      this.solvedSlug = slug;
+      return this.notify("problemSolved", slug);
+    }
+
+    notify(action, slug) {
+      if (!slug) return Promise.resolve();
+      return chrome.runtime
+        .sendMessage({ action, slug })
+        .catch((error) => console.debug(`Timer ${action} not sent:`, error));
+    }
+  }
+
+  // Watch submission results forwarded by page-hook.js
+  class AcceptedSubmissionWatcher {
+    constructor(timerAutoStarter) {
+      this.timerAutoStarter = timerAutoStarter;
+      this.toast = new NotionToast();
+      window.addEventListener("message", (event) => this.handleMessage(event));
+    }
+
+    handleMessage(event) {
+      if (event.source !== window) return;
+      const message = event.data;
+      if (message?.source !== "leetcode-notion-hook") return;
+      if (message.type !== "submissionResult") return;
+
+      const submission = message.submission;
+      if (!submission?.result) return;
+
+      // Ignore results for a problem the user has navigated away from
+      const extractor = new LeetCodeExtractor();
+      const currentSlug = extractor.extractProblemSlug();
+      if (submission.slug && submission.slug !== currentSlug) return;
+
+      extractor.recordSubmissionResult(submission);
+      if (submission.result.status_msg !== "Accepted") return;
+
+      this.onAccepted(submission).catch((error) =>
+        console.error("Failed to handle accepted submission:", error),
+      );
+    }
+
+    async onAccepted(submission) {
+      // Stop the clock before the save reads it
+      await this.timerAutoStarter?.markSolved(
+        submission.slug || new LeetCodeExtractor().extractProblemSlug(),
+      );
+
+      const { onAccepted = "prompt" } =
+        await chrome.storage.local.get("onAccepted");
+      if (onAccepted === "off") return;
+
+      if (onAccepted === "save") {
+        await this.save(submission);
+        return;
+      }
+
+      this.toast.show("Accepted! Save this problem to Notion?", {
+        actions: [
+          {
+            label: "Save",
+            primary: true,
+            onClick: () => this.save(submission),
+          },
+          { label: "Dismiss" },
+        ],
+        timeout: 20000,
+      });
+    }
+
+    async save(submission) {
+      this.toast.show("Saving to Notion...", { timeout: 0 });
+
+      try {
+        const extractor = new LeetCodeExtractor();
+        const problemData = await extractor.extractProblemData({
+          includeCode: !submission.code,
+          language: submission.lang,
+        });
+        const response = await chrome.runtime.sendMessage({
+          action: "saveAcceptedSubmission",
+          problemData,
+          submission: { code: submission.code, lang: submission.lang },
+        });
+
+        if (response?.success) {
+          this.toast.show(
+            response.created
+              ? "✅ Saved to Notion"
+              : "✅ Logged a new attempt in Notion",
+            {
+              type: "success",
+              actions: response.url
+                ? [
+                    {
+                      label: "Open",
+                      onClick: () => window.open(response.url, "_blank"),
+                    },
+                  ]
+                : [],
+            },
+          );
+        } else if (response?.queued) {
+          this.toast.show(
+            "Notion is unreachable - saved to the queue, it will sync automatically.",
+            { type: "info" },
+          );
+        } else {
+          this.toast.show(
+            `❌ ${response?.error || "Failed to save to Notion"}`,
+            { type: "error", timeout: 10000 },
+          );
+        }
+      } catch (error) {
+        this.toast.show(`❌ ${error.message}`, {
+          type: "error",
+          timeout: 10000,
+        });
+      }
+    }
+  }
+
+  // Floating tracker (opt-in): live timer, quick fields and Save without
+  // opening the popup. Shadow DOM keeps LeetCode's styles out; saves go
+  // through the background worker like auto-saves do.
+  class TrackerWidget {
+    constructor() {
+      this.host = null;
+      this.shadow = null;
+      this.slug = null;
+      this.timer = null; // last state from the background worker
+      this.syncedAt = 0;
+      this.interval = null;
+      this.state = { position: null, collapsed: false }; // "widgetState"
+
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== "local") return;
+        if (changes.showWidget) this.refresh();
+        // TIMERS_KEY in timers.js
+        if (changes.timers && this.host) this.loadTimer();
+      });
+      this.refresh();
+    }
+
+    async refresh() {
+      const { showWidget, widgetState } = await chrome.storage.local.get([
+        "showWidget",
+        "widgetState",
+      ]);
+      if (!showWidget) {
+        this.unmount();
+        return;
+      }
+      this.state = { ...this.state, ...widgetState };
+      this.mount();
+    }
+
+    mount() {
+      if (this.host?.isConnected) return;
+
+      this.host = document.createElement("div");
+      this.host.id = "leetcode-notion-widget";
+      this.shadow = this.host.attachShadow({ mode: "open" });
+      this.shadow.innerHTML = `
+        <style>
+          .widget {
+            position: fixed;
+            right: 20px;
+            bottom: 80px;
+            z-index: 2147483646;
+            width: 240px;
+            border: 1px solid #e6e6e6;
+            border-radius: 12px;
+            background: #fff;
+            color: #202020;
+            box-shadow: 0 8px 24px rgba(22, 30, 45, 0.18);
+            font: 13px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI",
+              Roboto, sans-serif;
+          }
+          .header {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            padding: 8px 10px;
+            border-bottom: 1px solid #f0f0f0;
+            cursor: move;
+            user-select: none;
+            touch-action: none;
+          }
+          .collapsed .header { border-bottom: none; }
+          .collapsed .body { display: none; }
+          .time {
+            flex: 1;
+            font-family: "SF Mono", Monaco, Consolas, monospace;
+            font-size: 15px;
+            font-weight: 600;
+          }
+          .body {
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            padding: 10px;
+          }
+          select, textarea {
+            width: 100%;
+            box-sizing: border-box;
+            padding: 6px 8px;
+            border: 1px solid #d6d6d6;
+            border-radius: 8px;
+            background: #fff;
+            color: inherit;
+            font: inherit;
+          }
+          textarea { resize: vertical; }
+          label {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            cursor: pointer;
+          }
+          button {
+            padding: 4px 8px;
+            border: 1px solid #d6d6d6;
+            border-radius: 8px;
+            background: #fff;
+            color: inherit;
+            font: inherit;
+            font-weight: 600;
+            cursor: pointer;
+          }
+          button.primary {
+            padding: 7px 10px;
+            border-color: #ffa116;
+            background: #ffa116;
+            color: #fff;
+          }
+          button:disabled { opacity: 0.6; cursor: default; }
+          .result { font-size: 12px; }
+          .result.success { color: #0d6f63; }
+          .result.error { color: #8f1c2b; }
+          .result a { color: #0b7ed0; margin-left: 4px; }
+        </style>
+        <div class="widget" role="region" aria-label="LeetCode to Notion">
+          <div class="header" title="Drag to move">
+            <span class="time">00:00:00</span>
+            <button class="timer-toggle" title="Start / pause timer">▶</button>
+            <button class="collapse" title="Collapse">–</button>
+          </div>
+          <div class="body">
+            <select class="status" aria-label="Status">
+              <option value="Solved">✅ Solved</option>
+              <option value="Review">👀 Review</option>
+              <option value="Mastered">🏆 Mastered</option>
+            </select>
+            <label><input type="checkbox" class="hint"> Did I need a hint?</label>
+            <label><input type="checkbox" class="redo"> Could I redo it in a week?</label>
+            <textarea class="notes" rows="3" placeholder="Notes..."></textarea>
+            <button class="save primary">💾 Save to Notion</button>
+            <div class="result" role="status" aria-live="polite" hidden></div>
+          </div>
+        </div>
+      `;
+
+      const $ = (selector) => this.shadow.querySelector(selector);
+      $(".timer-toggle").addEventListener("click", () => this.toggleTimer());
+      $(".collapse").addEventListener("click", () =>
+        this.saveState({ collapsed: !this.state.collapsed }),
+      );
+      $(".save").addEventListener("click", () => this.save());
+      // Keep LeetCode's shortcuts from firing while typing notes
+      $(".notes").addEventListener("keydown", (event) =>
+        event.stopPropagation(),
+      );
+      this.setupDragging($(".header"));
+
+      chrome.storage.local.get("saveDefaults").then(({ saveDefaults }) => {
+        $(".status").value = saveDefaults?.status || "Review";
+      });
+
+      document.documentElement.appendChild(this.host);
+      this.applyState();
+      this.loadTimer();
+      this.interval = setInterval(() => this.tick(), 500);
+    }
+
+    unmount() {
+      clearInterval(this.interval);
+      this.host?.remove();
+      this.host = null;
+      this.shadow = null;
+    }
+
+    // ----------------------------------------------------------------------
+    // Position / collapsed state
+    // ----------------------------------------------------------------------
+
+    applyState() {
+      const widget = this.shadow.querySelector(".widget");
+      widget.classList.toggle("collapsed", this.state.collapsed);
+      this.shadow.querySelector(".collapse").textContent = this.state.collapsed
+        ? "+"
+        : "–";
+
+      const { position } = this.state;
+      if (position) {
+        // Keep it reachable after the window shrinks
+        const x = Math.min(position.x, window.innerWidth - 60);
+        const y = Math.min(position.y, window.innerHeight - 40);
+        Object.assign(widget.style, {
+          left: `${Math.max(x, 0)}px`,
+          top: `${Math.max(y, 0)}px`,
+          right: "auto",
+          bottom: "auto",
+        });
+      }
+    }
+
+    saveState(changes) {
+      this.state = { ...this.state, ...changes };
+      this.applyState();
+      chrome.storage.local.set({ widgetState: this.state });
+    }
+
+    setupDragging(handle) {
+      let start = null;
+
+      handle.addEventListener("pointerdown", (event) => {
+        if (event.target.closest("button")) return;
+        const rect = this.shadow
+          .querySelector(".widget")
+          .getBoundingClientRect();
+        start = { dx: event.clientX - rect.left, dy: event.clientY - rect.top };
+        handle.setPointerCapture(event.pointerId);
+      });
+      handle.addEventListener("pointermove", (event) => {
+        if (!start) return;
+        this.state.position = {
+          x: event.clientX - start.dx,
+          y: event.clientY - start.dy,
+        };
+        this.applyState();
+      });
+      handle.addEventListener("pointerup", () => {
+        if (!start) return;
+        start = null;
+        this.saveState({});
+      });
+    }
+
+    // ----------------------------------------------------------------------
+    // Timer (runs in the background worker; this only displays it)
+    // ----------------------------------------------------------------------
+
+    currentSlug() {
+      return new LeetCodeExtractor().extractProblemSlug();
+    }
+
+    async loadTimer() {
+      this.slug = this.currentSlug();
+      if (!this.slug) return;
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: "getTimer",
+          slug: this.slug,
+        });
+        if (response?.success) this.applyTimer(response.timer);
+      } catch (error) {
+        console.debug("Timer state not available:", error);
+      }
+    }
+
+    applyTimer(timer) {
+      this.timer = timer;
+      this.syncedAt = Date.now();
+      this.tick();
+    }
+
+    async toggleTimer() {
+      if (!this.slug) return;
+      const response = await chrome.runtime.sendMessage({
+        action: this.timer?.isRunning ? "pauseTimer" : "startTimer",
+        slug: this.slug,
+      });
+      if (response?.success) this.applyTimer(response.timer);
+    }
+
+    /**
+     * Same extrapolation as the popup: last state plus time since it was read
+     */
+    elapsedMs() {
+      const timer = this.timer;
+      if (!timer) return 0;
+      const since = Date.now() - this.syncedAt;
+      return timer.mode === "active"
+        ? timer.activeMs + (timer.isActive ? since : 0)
+        : timer.wallMs + (timer.isRunning ? since : 0);
+    }
+
+    tick() {
+      if (!this.shadow) return;
+      // LeetCode switches problems without a page load
+      if (this.currentSlug() !== this.slug) {
+        this.loadTimer();
+        return;
+      }
+
+      const totalSeconds = Math.floor(this.elapsedMs() / 1000);
+      const pad = (value) => String(value).padStart(2, "0");
+      this.shadow.querySelector(".time").textContent = [
+        Math.floor(totalSeconds / 3600),
+        Math.floor((totalSeconds % 3600) / 60),
+        totalSeconds % 60,
+      ]
+        .map(pad)
+        .join(":");
+      this.shadow.querySelector(".timer-toggle").textContent = this.timer
+        ?.isRunning
+        ? "❚❚"
+        : "▶";
+    }
+
+    // ----------------------------------------------------------------------
+    // Save
+    // ----------------------------------------------------------------------
+
+    showResult(message, type, url = null) {
+      const result = this.shadow.querySelector(".result");
+      result.className = `result ${type}`;
+      result.textContent = message;
+      if (url) {
+        const link = document.createElement("a");
+        link.href = url;
+        link.target = "_blank";
+        link.textContent = "Open";
+        result.appendChild(link);
+      }
+      result.hidden = false;
+    }
+
+    async save() {
+      const $ = (selector) => this.shadow.querySelector(selector);
+      $(".save").disabled = true;
+      this.showResult("Saving to Notion...", "info");
+
+      try {
+        const problemData = await new LeetCodeExtractor().extractProblemData({
+          includeCode: true,
+        });
+        const response = await chrome.runtime.sendMessage({
+          action: "saveProblem",
+          problemData,
+          inputs: {
+            status: $(".status").value,
+            notes: $(".notes").value,
+            neededHint: $(".hint").checked,
+            canRedo: $(".redo").checked,
+            language: problemData.codeLanguage,
+          },
+        });
+
+        if (response?.success) {
+          this.showResult(
+            response.created ? "✅ Saved to Notion" : "✅ Logged a new attempt",
+            "success",
+            response.url,
+          );
+          $(".notes").value = "";
+          $(".hint").checked = false;
+          $(".redo").checked = false;
+        } else if (response?.queued) {
+          this.showResult(
+            "Notion is unreachable - queued, it will sync automatically.",
+            "info",
+          );
+        } else {
+          this.showResult(
+            `❌ ${response?.error || "Failed to save to Notion"}`,
+            "error",
+          );
+        }
+      } catch (error) {
+        this.showResult(`❌ ${error.message}`, "error");
+      } finally {
+        if (this.shadow) $(".save").disabled = false;
+      }
+    }
+  }
+
+  new AcceptedSubmissionWatcher(new TimerAutoStarter());
+  new TrackerWidget();
+
   // Listen for extraction requests from popup
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "extractProblemData") {
@@ -453,7 +1632,7 @@ if (globalThis.__LEETCODE_NOTION_CONTENT_LOADED__) {
       extractor
         .extractProblemData({
           includeCode: request.includeCode === true,
-          language: request.language || "python",
+          language: request.language,
         })
         .then((data) => sendResponse({ success: true, data }))
         .catch((error) =>
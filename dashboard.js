@@ -0,0 +1,606 @@
+// dashboard.js - Progress statistics built from the Notion database
+
+const DASHBOARD_CACHE_VERSION = 1;
+const DASHBOARD_PAGE_SIZE = 100;
+const DIFFICULTIES = ["Easy", "Medium", "Hard"];
+const TIME_BUCKETS = [
+  { label: "< 15m", maxMinutes: 15 },
+  { label: "15-30m", maxMinutes: 30 },
+  { label: "30-60m", maxMinutes: 60 },
+  { label: "1-2h", maxMinutes: 120 },
+  { label: "2h+", maxMinutes: Infinity },
+];
+const TOP_TAGS = 15;
+const HEATMAP_WEEKS = 53;
+const HINT_TREND_MONTHS = 12;
+
+/**
+ * Local copy of one profile's database, trimmed to what the charts need:
+ *   { version, databaseId, mappingKey, syncedAt, rows: { [pageId]: row } }
+ * `syncedAt` is the newest last_edited_time seen, so a refresh only asks
+ * Notion for pages edited since then. Pages deleted in Notion are not
+ * reported by that query - a full reload drops them.
+ */
+class DashboardCache {
+  constructor(settings) {
+    this.settings = settings;
+    this.sync = new NotionSync(settings);
+    this.key = `${DASHBOARD_CACHE_PREFIX}${settings.profileId}`;
+    this.mappingKey = JSON.stringify(settings.propertyMapping || {});
+  }
+
+  /**
+   * Cached copy, or an empty one when it was built for another database or
+   * property mapping
+   */
+  async load() {
+    const cache = (await chrome.storage.local.get(this.key))[this.key];
+    const usable =
+      cache?.version === DASHBOARD_CACHE_VERSION &&
+      cache.databaseId === this.settings.databaseId &&
+      cache.mappingKey === this.mappingKey;
+    return usable ? cache : this.emptyCache();
+  }
+
+  emptyCache() {
+    return {
+      version: DASHBOARD_CACHE_VERSION,
+      databaseId: this.settings.databaseId,
+      mappingKey: this.mappingKey,
+      syncedAt: null,
+      rows: {},
+    };
+  }
+
+  /**
+   * Page through the pages edited since the last sync (everything when
+   * `full`), saving after each batch so an interrupted sync resumes.
+   * Returns { cache, changed }.
+   */
+  async refresh({ full = false, onProgress = () => {} } = {}) {
+    const cache = full ? this.emptyCache() : await this.load();
+    const db = await this.sync.client.getDatabase(this.settings.databaseId);
+    const dbProperties = db.properties || {};
+
+    // last_edited_time is rounded to the minute, so re-read the boundary
+    const body = {
+      page_size: DASHBOARD_PAGE_SIZE,
+      sorts: [{ timestamp: "last_edited_time", direction: "ascending" }],
+      ...(cache.syncedAt
+        ? {
+            filter: {
+              timestamp: "last_edited_time",
+              last_edited_time: { on_or_after: cache.syncedAt },
+            },
+          }
+        : {}),
+    };
+
+    let changed = 0;
+    let cursor = null;
+    do {
+      const data = await this.sync.client.queryDatabase(
+        this.settings.databaseId,
+        cursor ? { ...body, start_cursor: cursor } : body,
+      );
+      for (const page of data.results || []) {
+        if (page.archived || page.in_trash) {
+          delete cache.rows[page.id];
+        } else {
+          cache.rows[page.id] = this.rowFromPage(page, dbProperties);
+        }
+        if (!cache.syncedAt || page.last_edited_time > cache.syncedAt) {
+          cache.syncedAt = page.last_edited_time;
+        }
+        changed += 1;
+      }
+      cursor = data.has_more ? data.next_cursor : null;
+
+      await chrome.storage.local.set({ [this.key]: cache });
+      onProgress(changed);
+    } while (cursor);
+
+    return { cache, changed };
+  }
+
+  rowFromPage(page, dbProperties) {
+    const read = (key) => this.sync.readFieldValue(page, key, dbProperties);
+    return {
+      difficulty: read("difficulty"),
+      status: read("status"),
+      tags: read("tags") || [],
+      timeSpentMs: DashboardCache.parseDuration(read("timeSpent")),
+      dateCompleted: read("dateCompleted"),
+      neededHint: Boolean(read("neededHint")),
+    };
+  }
+
+  /**
+   * "1h 2m 3s" / "12m 34s" / "01:02:03" / "45" (minutes) -> ms, or null
+   */
+  static parseDuration(text) {
+    const value = String(text || "").trim();
+    if (!value) return null;
+
+    const clock = value.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+    if (clock) {
+      const [, hours = 0, minutes, seconds] = clock;
+      return (
+        (Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000
+      );
+    }
+    if (/^\d+(\.\d+)?$/.test(value)) return Number(value) * 60 * 1000;
+
+    const parts = [...value.matchAll(/(\d+)\s*([hms])/gi)];
+    if (parts.length === 0) return null;
+    const unitMs = { h: 3600000, m: 60000, s: 1000 };
+    return parts.reduce(
+      (total, [, amount, unit]) =>
+        total + Number(amount) * unitMs[unit.toLowerCase()],
+      0,
+    );
+  }
+}
+
+/**
+ * Pure statistics over cached rows; dates are grouped by local day
+ */
+class DashboardStats {
+  static compute(rows, now = new Date()) {
+    const days = new Map();
+    for (const row of rows) {
+      const day = DashboardStats.dayKey(row.dateCompleted);
+      if (day) days.set(day, (days.get(day) || 0) + 1);
+    }
+
+    return {
+      total: rows.length,
+      byDifficulty: DashboardStats.byDifficulty(rows),
+      byTag: DashboardStats.byTag(rows),
+      timeByDifficulty: DashboardStats.timeByDifficulty(rows),
+      days,
+      ...DashboardStats.streaks(days, now),
+      hintTrend: DashboardStats.hintTrend(rows, now),
+    };
+  }
+
+  /**
+   * Local "YYYY-MM-DD" for a Notion date (date-only values are kept as is)
+   */
+  static dayKey(value) {
+    if (!value) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime())
+      ? null
+      : ReviewScheduler.formatDate(date);
+  }
+
+  static parseDay(dayKey) {
+    const [year, month, day] = dayKey.split("-").map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  static addDays(date, days) {
+    const next = new Date(date);
+    next.setDate(next.getDate() + days);
+    return next;
+  }
+
+  static byDifficulty(rows) {
+    const counts = Object.fromEntries(DIFFICULTIES.map((name) => [name, 0]));
+    for (const row of rows) {
+      if (row.difficulty) {
+        counts[row.difficulty] = (counts[row.difficulty] || 0) + 1;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * [[tag, count]], most used first
+   */
+  static byTag(rows) {
+    const counts = new Map();
+    for (const row of rows) {
+      for (const tag of row.tags) counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+    return [...counts.entries()].sort(
+      (a, b) => b[1] - a[1] || a[0].localeCompare(b[0]),
+    );
+  }
+
+  /**
+   * { [difficulty]: { buckets: [count per TIME_BUCKETS], medianMs, count } }
+   */
+  static timeByDifficulty(rows) {
+    const result = {};
+    for (const difficulty of DIFFICULTIES) {
+      const times = rows
+        .filter((row) => row.difficulty === difficulty && row.timeSpentMs > 0)
+        .map((row) => row.timeSpentMs)
+        .sort((a, b) => a - b);
+
+      const buckets = TIME_BUCKETS.map(() => 0);
+      for (const ms of times) {
+        const minutes = ms / 60000;
+        buckets[
+          TIME_BUCKETS.findIndex((bucket) => minutes < bucket.maxMinutes)
+        ] += 1;
+      }
+
+      const middle = Math.floor(times.length / 2);
+      const medianMs =
+        times.length === 0
+          ? null
+          : times.length % 2
+            ? times[middle]
+            : (times[middle - 1] + times[middle]) / 2;
+      result[difficulty] = { buckets, medianMs, count: times.length };
+    }
+    return result;
+  }
+
+  /**
+   * Current streak counts back from today, or from yesterday when nothing
+   * was completed yet today
+   */
+  static streaks(days, now) {
+    let currentStreak = 0;
+    let cursor = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (!days.has(ReviewScheduler.formatDate(cursor))) {
+      cursor = DashboardStats.addDays(cursor, -1);
+    }
+    while (days.has(ReviewScheduler.formatDate(cursor))) {
+      currentStreak += 1;
+      cursor = DashboardStats.addDays(cursor, -1);
+    }
+
+    let longestStreak = 0;
+    let run = 0;
+    let previous = null;
+    for (const day of [...days.keys()].sort()) {
+      const expected =
+        previous &&
+        ReviewScheduler.formatDate(
+          DashboardStats.addDays(DashboardStats.parseDay(previous), 1),
+        );
+      run = day === expected ? run + 1 : 1;
+      longestStreak = Math.max(longestStreak, run);
+      previous = day;
+    }
+
+    return { currentStreak, longestStreak };
+  }
+
+  /**
+   * Share of problems completed with a hint, per month (oldest first):
+   * [{ month: "YYYY-MM", total, hinted }]
+   */
+  static hintTrend(rows, now) {
+    const months = [];
+    for (let offset = HINT_TREND_MONTHS - 1; offset >= 0; offset -= 1) {
+      const date = new Date(now.getFullYear(), now.getMonth() - offset, 1);
+      months.push({
+        month: ReviewScheduler.formatDate(date).slice(0, 7),
+        total: 0,
+        hinted: 0,
+      });
+    }
+
+    const byMonth = new Map(months.map((entry) => [entry.month, entry]));
+    for (const row of rows) {
+      const entry = byMonth.get(
+        DashboardStats.dayKey(row.dateCompleted)?.slice(0, 7),
+      );
+      if (!entry) continue;
+      entry.total += 1;
+      if (row.neededHint) entry.hinted += 1;
+    }
+    return months;
+  }
+}
+
+class Dashboard {
+  constructor() {
+    this.settings = null;
+    this.cache = null;
+    this.refreshing = false;
+    this.init();
+  }
+
+  async init() {
+    this.setupEventListeners();
+    this.settings = await NotionSync.loadSettings();
+    document.getElementById("profileName").textContent =
+      this.settings.profileName || "";
+
+    if (!this.settings.notionToken || !this.settings.databaseId) {
+      this.showStatus(
+        "Notion is not configured. Add your token and database in Settings.",
+        "error",
+      );
+      this.setButtonsDisabled(true);
+      return;
+    }
+
+    this.cache = new DashboardCache(this.settings);
+    const cached = await this.cache.load();
+    if (cached.syncedAt) this.render(cached);
+    await this.refresh();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("refreshDashboard")
+      .addEventListener("click", () => this.refresh());
+    document
+      .getElementById("reloadDashboard")
+      .addEventListener("click", () => this.refresh({ full: true }));
+  }
+
+  setButtonsDisabled(disabled) {
+    document.getElementById("refreshDashboard").disabled = disabled;
+    document.getElementById("reloadDashboard").disabled = disabled;
+  }
+
+  async refresh({ full = false } = {}) {
+    if (this.refreshing) return;
+    this.refreshing = true;
+    this.setButtonsDisabled(true);
+    this.showStatus(
+      full ? "Reloading the whole database..." : "Checking for changes...",
+      "info",
+    );
+
+    try {
+      const { cache, changed } = await this.cache.refresh({
+        full,
+        onProgress: (count) =>
+          this.showStatus(`Read ${count} pages from Notion...`, "info"),
+      });
+      this.render(cache);
+      this.showStatus(
+        changed > 0
+          ? `Up to date - ${changed} pages read from Notion.`
+          : "Up to date.",
+        "success",
+      );
+    } catch (error) {
+      console.error("Dashboard refresh failed:", error);
+      this.showStatus(
+        `Could not refresh from Notion: ${error.message}. ` +
+          "Showing the last saved data.",
+        "error",
+      );
+    } finally {
+      this.refreshing = false;
+      this.setButtonsDisabled(false);
+    }
+  }
+
+  // ============================================================================
+  // RENDERING
+  // ============================================================================
+
+  render(cache) {
+    const stats = DashboardStats.compute(Object.values(cache.rows));
+
+    document.getElementById("dashboardContent").classList.remove("hidden");
+    document.getElementById("lastSynced").textContent = cache.syncedAt
+      ? `Latest Notion edit: ${new Date(cache.syncedAt).toLocaleString()}`
+      : "";
+
+    this.renderSummary(stats);
+    this.renderBars(
+      "difficultyChart",
+      DIFFICULTIES.map((name) => ({
+        label: name,
+        value: stats.byDifficulty[name],
+        className: name.toLowerCase(),
+      })),
+    );
+    this.renderBars(
+      "tagChart",
+      stats.byTag
+        .slice(0, TOP_TAGS)
+        .map(([label, value]) => ({ label, value })),
+    );
+    this.renderTimeDistribution(stats.timeByDifficulty);
+    this.renderHeatmap(stats.days);
+    this.renderHintTrend(stats.hintTrend);
+  }
+
+  renderSummary(stats) {
+    const cards = [
+      ["Problems", stats.total],
+      ...DIFFICULTIES.map((name) => [name, stats.byDifficulty[name]]),
+      ["Current streak", this.formatDays(stats.currentStreak)],
+      ["Longest streak", this.formatDays(stats.longestStreak)],
+    ];
+
+    const container = document.getElementById("summaryCards");
+    container.innerHTML = "";
+    for (const [label, value] of cards) {
+      const card = document.createElement("div");
+      card.className = "stat-card";
+      const valueEl = document.createElement("strong");
+      valueEl.textContent = value;
+      const labelEl = document.createElement("span");
+      labelEl.textContent = label;
+      card.append(valueEl, labelEl);
+      container.appendChild(card);
+    }
+  }
+
+  formatDays(count) {
+    return `${count} ${count === 1 ? "day" : "days"}`;
+  }
+
+  /**
+   * Horizontal bars scaled to the largest value:
+   * items = [{ label, value, className?, title? }]
+   */
+  renderBars(containerId, items) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = "";
+    if (items.length === 0 || items.every((item) => !item.value)) {
+      container.appendChild(this.emptyNote());
+      return;
+    }
+
+    const max = Math.max(...items.map((item) => item.value), 1);
+    for (const item of items) {
+      const row = document.createElement("div");
+      row.className = "bar-row";
+      if (item.title) row.title = item.title;
+
+      const label = document.createElement("span");
+      label.className = "bar-label";
+      label.textContent = item.label;
+
+      const track = document.createElement("span");
+      track.className = "bar-track";
+      const fill = document.createElement("span");
+      fill.className = `bar-fill ${item.className || ""}`.trim();
+      fill.style.width = `${(item.value / max) * 100}%`;
+      track.appendChild(fill);
+
+      const value = document.createElement("span");
+      value.className = "bar-value";
+      value.textContent = item.value;
+
+      row.append(label, track, value);
+      container.appendChild(row);
+    }
+  }
+
+  renderTimeDistribution(timeByDifficulty) {
+    const container = document.getElementById("timeChart");
+    container.innerHTML = "";
+
+    for (const difficulty of DIFFICULTIES) {
+      const { buckets, medianMs, count } = timeByDifficulty[difficulty];
+      const group = document.createElement("div");
+      group.className = "time-group";
+
+      const heading = document.createElement("h3");
+      heading.textContent = difficulty;
+      const median = document.createElement("small");
+      median.className = "help-text";
+      median.textContent =
+        count > 0
+          ? `Median ${NotionSync.formatDuration(medianMs)} over ${count} ` +
+            (count === 1 ? "problem" : "problems")
+          : "No time recorded";
+      heading.appendChild(median);
+
+      const bars = document.createElement("div");
+      bars.id = `timeChart${difficulty}`;
+      group.append(heading, bars);
+      container.appendChild(group);
+
+      if (count > 0) {
+        this.renderBars(
+          bars.id,
+          TIME_BUCKETS.map((bucket, index) => ({
+            label: bucket.label,
+            value: buckets[index],
+            className: difficulty.toLowerCase(),
+          })),
+        );
+      }
+    }
+  }
+
+  /**
+   * GitHub-style grid: one column per week, Sunday at the top
+   */
+  renderHeatmap(days) {
+    const container = document.getElementById("heatmap");
+    container.innerHTML = "";
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    let cursor = DashboardStats.addDays(
+      today,
+      -(HEATMAP_WEEKS - 1) * 7 - today.getDay(),
+    );
+
+    while (cursor <= today) {
+      const day = ReviewScheduler.formatDate(cursor);
+      const count = days.get(day) || 0;
+      const cell = document.createElement("span");
+      cell.className = `heat-cell level-${this.heatLevel(count)}`;
+      cell.title = `${day}: ${count} ${count === 1 ? "problem" : "problems"}`;
+      container.appendChild(cell);
+      cursor = DashboardStats.addDays(cursor, 1);
+    }
+  }
+
+  heatLevel(count) {
+    if (count === 0) return 0;
+    if (count === 1) return 1;
+    if (count === 2) return 2;
+    return count <= 4 ? 3 : 4;
+  }
+
+  renderHintTrend(months) {
+    const container = document.getElementById("hintChart");
+    container.innerHTML = "";
+    if (months.every((entry) => entry.total === 0)) {
+      container.appendChild(this.emptyNote());
+      return;
+    }
+
+    for (const { month, total, hinted } of months) {
+      const rate = total > 0 ? hinted / total : 0;
+      const column = document.createElement("div");
+      column.className = "trend-column";
+      column.title =
+        total > 0
+          ? `${month}: ${hinted} of ${total} with a hint`
+          : `${month}: no problems`;
+
+      const value = document.createElement("span");
+      value.className = "trend-value";
+      value.textContent = total > 0 ? `${Math.round(rate * 100)}%` : "-";
+
+      const track = document.createElement("span");
+      track.className = "trend-track";
+      const fill = document.createElement("span");
+      fill.className = "trend-fill";
+      fill.style.height = `${rate * 100}%`;
+      track.appendChild(fill);
+
+      const label = document.createElement("span");
+      label.className = "trend-label";
+      label.textContent = DashboardStats.parseDay(`${month}-01`).toLocaleString(
+        undefined,
+        { month: "short" },
+      );
+
+      column.append(value, track, label);
+      container.appendChild(column);
+    }
+  }
+
+  emptyNote() {
+    const note = document.createElement("p");
+    note.className = "help-text";
+    note.textContent = "Nothing to show yet.";
+    return note;
+  }
+
+  showStatus(message, type) {
+    const statusEl = document.getElementById("dashboardStatusMessage");
+    statusEl.textContent = message;
+    statusEl.className = `status-message ${type}`;
+    statusEl.classList.remove("hidden");
+  }
+}
+
+// Initialize when DOM is ready
+document.addEventListener("DOMContentLoaded", () => {
+  new Dashboard();
+});
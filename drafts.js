@@ -0,0 +1,43 @@
+// drafts.js - Unsaved popup form values, kept per problem
+
+const DRAFT_PREFIX = "draft_";
+const DRAFT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * A draft holds the popup form for one problem until it is saved:
+ *   { status, language, neededHint, canRedo, notes, timestamp }
+ * Keyed like the page cache: problem number, or the slug without one.
+ * Drafts untouched for 30 days are dropped when read.
+ */
+class ProblemDrafts {
+  static key(problem) {
+    const problemKey = NotionSync.problemKey(problem);
+    return problemKey ? `${DRAFT_PREFIX}${problemKey}` : null;
+  }
+
+  static async get(problem) {
+    const key = ProblemDrafts.key(problem);
+    if (!key) return null;
+
+    const draft = (await chrome.storage.local.get(key))[key];
+    if (!draft) return null;
+    if (Date.now() - (draft.timestamp || 0) > DRAFT_MAX_AGE_MS) {
+      await chrome.storage.local.remove(key);
+      return null;
+    }
+    return draft;
+  }
+
+  static async save(problem, values) {
+    const key = ProblemDrafts.key(problem);
+    if (!key) return;
+    await chrome.storage.local.set({
+      [key]: { ...values, timestamp: Date.now() },
+    });
+  }
+
+  static async clear(problem) {
+    const key = ProblemDrafts.key(problem);
+    if (key) await chrome.storage.local.remove(key);
+  }
+}
@@ -0,0 +1,575 @@
+// import.js - Backfill Notion from the user's accepted LeetCode submissions
+
+const IMPORT_STATE_KEY = "importState";
+const IMPORT_STATE_VERSION = 1;
+const SUBMISSIONS_PAGE_SIZE = 20;
+const LEETCODE_REQUEST_DELAY_MS = 1500;
+const LEETCODE_BACKOFF_MS = 30000;
+const NOTION_REQUEST_DELAY_MS = 400;
+const MAX_LOG_LINES = 200;
+
+/**
+ * LeetCode can't be used right now (logged out, rate limited, network or
+ * server error). The import pauses on it instead of failing the problem.
+ */
+class LeetCodeUnavailableError extends Error {
+  constructor(message, { status = 0 } = {}) {
+    super(message);
+    this.name = "LeetCodeUnavailableError";
+    this.status = status;
+  }
+}
+
+/**
+ * Runs requests inside a LeetCode tab, so they carry the user's session
+ * cookies and pass the site's same-origin checks. A background tab is
+ * opened if none is available.
+ */
+class LeetCodeSession {
+  constructor(site) {
+    this.site = site;
+    this.origin = LEETCODE_ORIGINS[site];
+    this.isChinese = site === "leetcode.cn";
+    this.tabId = null;
+  }
+
+  async getTabId() {
+    if (this.tabId !== null) {
+      try {
+        const tab = await chrome.tabs.get(this.tabId);
+        if (tab.status === "complete") return this.tabId;
+      } catch (error) {
+        this.tabId = null;
+      }
+    }
+
+    const tabs = await chrome.tabs.query({ url: `${this.origin}/*` });
+    const ready = tabs.find((tab) => tab.status === "complete");
+    if (ready) {
+      this.tabId = ready.id;
+      return this.tabId;
+    }
+
+    const tab = await chrome.tabs.create({
+      url: `${this.origin}/problemset/`,
+      active: false,
+    });
+    await this.waitForLoad(tab.id);
+    this.tabId = tab.id;
+    return this.tabId;
+  }
+
+  waitForLoad(tabId, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        chrome.tabs.onUpdated.removeListener(listener);
+        reject(
+          new LeetCodeUnavailableError(`Timed out opening ${this.origin}`),
+        );
+      }, timeout);
+      const listener = (updatedId, changeInfo) => {
+        if (updatedId !== tabId || changeInfo.status !== "complete") return;
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      };
+      chrome.tabs.onUpdated.addListener(listener);
+    });
+  }
+
+  /**
+   * Same-origin fetch from the LeetCode tab. Rate limits back off and retry.
+   */
+  async request(path, { method = "GET", body } = {}, retries = 3) {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: await this.getTabId() },
+      func: async (url, method, body) => {
+        const csrfToken = document.cookie.match(/csrftoken=([^;]+)/)?.[1];
+        const response = await fetch(url, {
+          method,
+          headers: {
+            "Content-Type": "application/json",
+            ...(csrfToken ? { "x-csrftoken": csrfToken } : {}),
+          },
+          body: body ? JSON.stringify(body) : undefined,
+          credentials: "same-origin",
+        });
+        let json = null;
+        try {
+          json = await response.json();
+        } catch (error) {
+          json = null;
+        }
+        return { status: response.status, json };
+      },
+      args: [path, method, body || null],
+    });
+    const { status, json } = injection?.result || {};
+
+    if (status === 429 && retries > 0) {
+      await BulkImporter.sleep(LEETCODE_BACKOFF_MS);
+      return this.request(path, { method, body }, retries - 1);
+    }
+    if (status === 401 || status === 403) {
+      throw new LeetCodeUnavailableError(
+        `Log in to ${this.site} in this browser, then resume.`,
+        { status },
+      );
+    }
+    if (!status || status === 429 || status >= 500) {
+      throw new LeetCodeUnavailableError(
+        `${this.site} is not responding (HTTP ${status || "?"}). ` +
+          "Try again in a few minutes.",
+        { status: status || 0 },
+      );
+    }
+    if (status >= 400 || !json) {
+      throw new Error(`${this.site} request failed (HTTP ${status || "?"})`);
+    }
+    return json;
+  }
+
+  async graphql(query, variables) {
+    const json = await this.request("/graphql/", {
+      method: "POST",
+      body: { query, variables },
+    });
+    if (json.errors?.length) {
+      throw new Error(json.errors[0].message || "GraphQL error");
+    }
+    return json.data;
+  }
+
+  /**
+   * One page of the user's submissions, newest first:
+   * { submissions: [{ id, slug, title, status, lang, timestamp }],
+   *   hasNext, lastKey }
+   */
+  async fetchSubmissions(offset, lastKey) {
+    if (!this.isChinese) {
+      const json = await this.request(
+        `/api/submissions/?offset=${offset}&limit=${SUBMISSIONS_PAGE_SIZE}` +
+          `&lastkey=${encodeURIComponent(lastKey || "")}`,
+      );
+      return {
+        submissions: (json.submissions_dump || []).map((item) => ({
+          id: String(item.id),
+          slug: item.title_slug,
+          title: item.title,
+          status: item.status_display,
+          lang: item.lang,
+          timestamp: Number(item.timestamp),
+        })),
+        hasNext: Boolean(json.has_next),
+        lastKey: json.last_key || null,
+      };
+    }
+
+    // leetcode.cn only exposes the list through GraphQL
+    const data = await this.graphql(
+      `query submissionList($offset: Int!, $limit: Int!, $lastKey: String) {
+        submissionList(offset: $offset, limit: $limit, lastKey: $lastKey) {
+          lastKey
+          hasNext
+          submissions { id title titleSlug statusDisplay lang timestamp }
+        }
+      }`,
+      { offset, limit: SUBMISSIONS_PAGE_SIZE, lastKey: lastKey || null },
+    );
+    const list = data?.submissionList || {};
+    return {
+      submissions: (list.submissions || []).map((item) => ({
+        id: String(item.id),
+        slug: item.titleSlug,
+        title: item.title,
+        status: item.statusDisplay,
+        lang: item.lang,
+        timestamp: Number(item.timestamp),
+      })),
+      hasNext: Boolean(list.hasNext),
+      lastKey: list.lastKey || null,
+    };
+  }
+
+  /**
+   * Code is fetched one submission at a time while saving, so the
+   * import state in storage never holds the whole history's code
+   */
+  async fetchSubmissionCode(submissionId) {
+    if (!this.isChinese) {
+      const data = await this.graphql(
+        `query submissionDetails($id: Int!) {
+          submissionDetails(submissionId: $id) { code }
+        }`,
+        { id: Number(submissionId) },
+      );
+      return data?.submissionDetails?.code || null;
+    }
+
+    const data = await this.graphql(
+      `query submissionDetail($id: ID!) {
+        submissionDetail(submissionId: $id) { code }
+      }`,
+      { id: submissionId },
+    );
+    return data?.submissionDetail?.code || null;
+  }
+
+  async fetchQuestion(slug) {
+    const data = await this.graphql(LeetCodeApi.questionQuery(this.isChinese), {
+      titleSlug: slug,
+    });
+    if (!data?.question) return null;
+    return LeetCodeApi.normalizeQuestion(data.question, this.isChinese);
+  }
+}
+
+class BulkImporter {
+  constructor() {
+    this.state = null;
+    this.running = false;
+    this.stopRequested = false;
+    this.init();
+  }
+
+  async init() {
+    this.setupEventListeners();
+    const result = await chrome.storage.local.get(IMPORT_STATE_KEY);
+    const state = result[IMPORT_STATE_KEY];
+    this.state = state?.version === IMPORT_STATE_VERSION ? state : null;
+    if (this.state) {
+      document.getElementById("importSite").value = this.state.site;
+    }
+    this.render();
+  }
+
+  setupEventListeners() {
+    document
+      .getElementById("startImport")
+      .addEventListener("click", () => this.start());
+    document
+      .getElementById("resumeImport")
+      .addEventListener("click", () => this.run());
+    document
+      .getElementById("pauseImport")
+      .addEventListener("click", () => this.pause());
+    document
+      .getElementById("resetImport")
+      .addEventListener("click", () => this.reset());
+  }
+
+  static sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  static newState(site) {
+    return {
+      version: IMPORT_STATE_VERSION,
+      site,
+      phase: "collect",
+      offset: 0,
+      lastKey: null,
+      pagesFetched: 0,
+      problems: {},
+      order: [],
+      index: 0,
+      stats: { created: 0, updated: 0, failed: 0 },
+      failures: [],
+      log: [],
+      startedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  async start() {
+    if (this.running) return;
+    if (
+      this.state &&
+      this.state.phase !== "done" &&
+      !confirm("Discard the unfinished import and start over?")
+    ) {
+      return;
+    }
+
+    const settings = await NotionSync.loadSettings();
+    if (!settings.notionToken || !settings.databaseId) {
+      this.showStatus("Configure Notion in the settings page first.", "error");
+      return;
+    }
+
+    this.state = BulkImporter.newState(
+      document.getElementById("importSite").value,
+    );
+    await this.saveState();
+    await this.run();
+  }
+
+  pause() {
+    if (!this.running) return;
+    this.stopRequested = true;
+    this.showStatus("Pausing after the current step...", "info");
+  }
+
+  async reset() {
+    if (this.running) return;
+    if (!confirm("Clear the import progress?")) return;
+    this.state = null;
+    await chrome.storage.local.remove(IMPORT_STATE_KEY);
+    this.render();
+    this.showStatus("Import progress cleared", "success");
+  }
+
+  async run() {
+    if (this.running || !this.state || this.state.phase === "done") return;
+
+    const settings = await NotionSync.loadSettings();
+    if (!settings.notionToken || !settings.databaseId) {
+      this.showStatus("Configure Notion in the settings page first.", "error");
+      return;
+    }
+
+    this.running = true;
+    this.stopRequested = false;
+    this.render();
+    this.showStatus("Import running - keep this page open.", "info");
+
+    const session = new LeetCodeSession(this.state.site);
+    const sync = new NotionSync(settings);
+
+    try {
+      if (this.state.phase === "collect") {
+        await this.collect(session);
+      }
+      if (this.state.phase === "save" && !this.stopRequested) {
+        await this.saveAll(session, sync);
+      }
+
+      if (this.state.phase === "done") {
+        this.showStatus(
+          `Import finished: ${this.state.stats.created} created, ` +
+            `${this.state.stats.updated} updated, ` +
+            `${this.state.stats.failed} failed.`,
+          "success",
+        );
+      } else {
+        this.showStatus("Import paused - resume any time.", "info");
+      }
+    } catch (error) {
+      console.error("Import stopped:", error);
+      this.addLog(`⏸ Stopped: ${error.message}`);
+      this.showStatus(`${error.message}\n\nResume when ready.`, "error");
+    } finally {
+      this.running = false;
+      await this.saveState();
+      this.render();
+    }
+  }
+
+  /**
+   * Phase 1: page through submissions and keep each problem's first and
+   * latest Accepted
+   */
+  async collect(session) {
+    let hasNext = true;
+    while (hasNext && !this.stopRequested) {
+      const page = await session.fetchSubmissions(
+        this.state.offset,
+        this.state.lastKey,
+      );
+
+      for (const submission of page.submissions) {
+        if (submission.status !== "Accepted" || !submission.slug) continue;
+        this.addAccepted(submission);
+      }
+
+      this.state.offset += SUBMISSIONS_PAGE_SIZE;
+      this.state.lastKey = page.lastKey;
+      this.state.pagesFetched += 1;
+      hasNext = page.hasNext && page.submissions.length > 0;
+      if (!hasNext) {
+        this.state.phase = "save";
+        this.state.order = Object.keys(this.state.problems);
+        this.addLog(
+          `Found ${this.state.order.length} accepted problems in ` +
+            `${this.state.pagesFetched} pages of submissions`,
+        );
+      }
+
+      await this.saveState();
+      this.render();
+      if (hasNext) await BulkImporter.sleep(LEETCODE_REQUEST_DELAY_MS);
+    }
+  }
+
+  addAccepted(submission) {
+    const acceptedAt = new Date(submission.timestamp * 1000).toISOString();
+    const problem = this.state.problems[submission.slug];
+
+    if (!problem) {
+      // Submissions arrive newest first: the first one seen is the latest
+      this.state.problems[submission.slug] = {
+        slug: submission.slug,
+        title: submission.title,
+        lang: submission.lang,
+        submissionId: submission.id,
+        latestAcceptedAt: acceptedAt,
+        firstAcceptedAt: acceptedAt,
+      };
+    } else if (acceptedAt < problem.firstAcceptedAt) {
+      problem.firstAcceptedAt = acceptedAt;
+    }
+  }
+
+  /**
+   * Phase 2: one Notion page per problem, with the usual dedupe
+   */
+  async saveAll(session, sync) {
+    while (this.state.index < this.state.order.length && !this.stopRequested) {
+      const problem = this.state.problems[this.state.order[this.state.index]];
+
+      try {
+        const { page, created } = await sync.importRecord(
+          await this.buildRecord(session, problem, sync.settings),
+        );
+        this.state.stats[created ? "created" : "updated"] += 1;
+        this.addLog(`${created ? "➕" : "✏️"} ${problem.title}`, page.url);
+      } catch (error) {
+        // Transient problems stop the run so nothing is skipped
+        if (error instanceof NotionApiError && error.retryable) throw error;
+        if (error instanceof LeetCodeUnavailableError) throw error;
+        this.state.stats.failed += 1;
+        this.state.failures.push({ slug: problem.slug, error: error.message });
+        this.addLog(`❌ ${problem.title}: ${error.message}`);
+      }
+
+      this.state.index += 1;
+      if (this.state.index >= this.state.order.length) {
+        this.state.phase = "done";
+      }
+      await this.saveState();
+      this.render();
+      await BulkImporter.sleep(NOTION_REQUEST_DELAY_MS);
+    }
+  }
+
+  async buildRecord(session, problem, settings) {
+    const metadata = await session.fetchQuestion(problem.slug);
+    await BulkImporter.sleep(LEETCODE_REQUEST_DELAY_MS);
+
+    let code = null;
+    if (problem.submissionId) {
+      code = await session.fetchSubmissionCode(problem.submissionId);
+      await BulkImporter.sleep(LEETCODE_REQUEST_DELAY_MS);
+    }
+
+    const record = NotionSync.buildRecord(
+      {
+        url: `${session.origin}/problems/${problem.slug}/`,
+        slug: problem.slug,
+        title: metadata?.title || problem.title,
+        englishTitle: metadata?.englishTitle || null,
+        translatedTitle: metadata?.translatedTitle || null,
+        number: metadata?.number ?? null,
+        difficulty: metadata?.difficulty || null,
+        tags: metadata?.tags || [],
+        similarQuestions: metadata?.similarQuestions || [],
+        paidOnly: metadata?.paidOnly ?? null,
+        timestamp: new Date().toISOString(),
+        domain: session.site,
+        code,
+        codeLanguage: problem.lang,
+        submissionId: problem.submissionId || null,
+      },
+      { status: "Solved", language: problem.lang },
+      settings,
+    );
+
+    // No timer for imported problems; date is the first Accepted
+    return {
+      ...record,
+      timeSpent: null,
+      timeSpentMinutes: null,
+      dateCompleted: problem.firstAcceptedAt,
+    };
+  }
+
+  // ============================================================================
+  // STATE & UI
+  // ============================================================================
+
+  async saveState() {
+    if (!this.state) return;
+    this.state.updatedAt = new Date().toISOString();
+    await chrome.storage.local.set({ [IMPORT_STATE_KEY]: this.state });
+  }
+
+  addLog(message, url = null) {
+    this.state.log.push({ message, url, at: new Date().toISOString() });
+    if (this.state.log.length > MAX_LOG_LINES) {
+      this.state.log.splice(0, this.state.log.length - MAX_LOG_LINES);
+    }
+  }
+
+  render() {
+    const state = this.state;
+    const hasUnfinished = Boolean(state) && state.phase !== "done";
+
+    document.getElementById("startImport").disabled = this.running;
+    document.getElementById("resumeImport").disabled =
+      this.running || !hasUnfinished;
+    document.getElementById("pauseImport").disabled = !this.running;
+    document.getElementById("resetImport").disabled = this.running || !state;
+    document.getElementById("importSite").disabled = this.running;
+
+    const progress = document.getElementById("importProgress");
+    progress.classList.toggle("hidden", !state);
+    if (!state) return;
+
+    const total = state.order.length;
+    const bar = document.getElementById("importProgressBar");
+    const summary = document.getElementById("importSummary");
+
+    if (state.phase === "collect") {
+      bar.removeAttribute("value");
+      summary.textContent =
+        `Reading submissions from ${state.site}: ` +
+        `${state.pagesFetched} pages, ` +
+        `${Object.keys(state.problems).length} accepted problems so far`;
+    } else {
+      bar.max = Math.max(total, 1);
+      bar.value = state.index;
+      summary.textContent =
+        `${state.index} / ${total} problems - ` +
+        `${state.stats.created} created, ${state.stats.updated} updated, ` +
+        `${state.stats.failed} failed`;
+    }
+
+    const list = document.getElementById("importLog");
+    list.innerHTML = "";
+    for (const entry of [...state.log].reverse()) {
+      const item = document.createElement("li");
+      if (entry.url) {
+        const link = document.createElement("a");
+        link.href = entry.url;
+        link.target = "_blank";
+        link.textContent = entry.message;
+        item.appendChild(link);
+      } else {
+        item.textContent = entry.message;
+      }
+      list.appendChild(item);
+    }
+  }
+
+  showStatus(message, type) {
+    const statusEl = document.getElementById("importStatusMessage");
+    statusEl.textContent = message;
+    statusEl.className = `status-message ${type}`;
+    statusEl.classList.remove("hidden");
+  }
+}
+
+// Initialize when DOM is ready
+document.addEventListener("DOMContentLoaded", () => {
+  new BulkImporter();
+});
@@ -0,0 +1,88 @@
+// languages.js - LeetCode editor languages and their Notion code-block names
+
+/**
+ * One entry per language LeetCode's editor offers.
+ * - slug: LeetCode's langSlug (also the value of the popup select)
+ * - label: name shown in LeetCode's language picker
+ * - notion: value of Notion's code block `language` enum
+ */
+const LEETCODE_LANGUAGES = [
+  { slug: "cpp", label: "C++", notion: "c++" },
+  { slug: "java", label: "Java", notion: "java" },
+  { slug: "python3", label: "Python3", notion: "python" },
+  { slug: "python", label: "Python", notion: "python" },
+  { slug: "c", label: "C", notion: "c" },
+  { slug: "csharp", label: "C#", notion: "c#" },
+  { slug: "javascript", label: "JavaScript", notion: "javascript" },
+  { slug: "typescript", label: "TypeScript", notion: "typescript" },
+  { slug: "php", label: "PHP", notion: "php" },
+  { slug: "swift", label: "Swift", notion: "swift" },
+  { slug: "kotlin", label: "Kotlin", notion: "kotlin" },
+  { slug: "dart", label: "Dart", notion: "dart" },
+  { slug: "golang", label: "Go", notion: "go" },
+  { slug: "ruby", label: "Ruby", notion: "ruby" },
+  { slug: "scala", label: "Scala", notion: "scala" },
+  { slug: "rust", label: "Rust", notion: "rust" },
+  { slug: "racket", label: "Racket", notion: "scheme" },
+  { slug: "erlang", label: "Erlang", notion: "erlang" },
+  { slug: "elixir", label: "Elixir", notion: "elixir" },
+  { slug: "cangjie", label: "Cangjie", notion: "plain text" },
+  { slug: "mysql", label: "MySQL", notion: "sql" },
+  { slug: "mssql", label: "MS SQL Server", notion: "sql" },
+  { slug: "oraclesql", label: "Oracle", notion: "sql" },
+  { slug: "postgresql", label: "PostgreSQL", notion: "sql" },
+  { slug: "pythondata", label: "Pandas", notion: "python" },
+  { slug: "bash", label: "Bash", notion: "bash" },
+];
+
+// Other spellings seen in editor labels, storage and older saves
+const LANGUAGE_ALIASES = {
+  "c++": "cpp",
+  "c#": "csharp",
+  go: "golang",
+  js: "javascript",
+  ts: "typescript",
+  sql: "mysql",
+  "ms sql": "mssql",
+  "oracle sql": "oraclesql",
+  pandas: "pythondata",
+  shell: "bash",
+  仓颉: "cangjie",
+};
+
+class Languages {
+  /**
+   * Any slug, label or alias -> LeetCode slug (null if unknown)
+   */
+  static normalize(value) {
+    const text = String(value || "")
+      .trim()
+      .toLowerCase();
+    if (!text) return null;
+
+    const match = LEETCODE_LANGUAGES.find(
+      (language) =>
+        language.slug === text || language.label.toLowerCase() === text,
+    );
+    if (match) return match.slug;
+    return LANGUAGE_ALIASES[text] || null;
+  }
+
+  static find(value) {
+    const slug = Languages.normalize(value);
+    return (
+      LEETCODE_LANGUAGES.find((language) => language.slug === slug) || null
+    );
+  }
+
+  /**
+   * Value accepted by Notion's code block `language` enum
+   */
+  static notionCodeLanguage(value) {
+    return Languages.find(value)?.notion || "plain text";
+  }
+
+  static label(value) {
+    return Languages.find(value)?.label || String(value || "");
+  }
+}
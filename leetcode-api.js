@@ -0,0 +1,103 @@
+// leetcode-api.js - Queries against LeetCode's own APIs (GraphQL / REST)
+//
+// Shared by content.js (same-origin fetch on a problem page) and import.js
+// (requests run inside a LeetCode tab so they use the user's session).
+
+const LEETCODE_ORIGINS = {
+  "leetcode.com": "https://leetcode.com",
+  "leetcode.cn": "https://leetcode.cn",
+};
+
+// Site the URL property and page title point to: "leetcode.com",
+// "leetcode.cn" or "current" (wherever the problem was solved)
+const DEFAULT_CANONICAL_SITE = "leetcode.cn";
+
+class LeetCodeApi {
+  /**
+   * GraphQL query for one problem's metadata.
+   * leetcode.cn has translated fields; leetcode.com rejects them.
+   */
+  static questionQuery(isChinese) {
+    const translated = isChinese ? "translatedTitle translatedContent" : "";
+    return `
+      query questionData($titleSlug: String!) {
+        question(titleSlug: $titleSlug) {
+          questionFrontendId
+          title
+          ${translated}
+          difficulty
+          isPaidOnly
+          content
+          stats
+          similarQuestions
+          topicTags { name slug ${isChinese ? "translatedName" : ""} }
+        }
+      }`;
+  }
+
+  /**
+   * Raw `question` object -> fields used in records. `contentHtml` is the
+   * statement in the site's language (converted to blocks by the caller).
+   */
+  static normalizeQuestion(question, isChinese) {
+    const stats = LeetCodeApi.parseJson(question.stats) || {};
+    const similar = LeetCodeApi.parseJson(question.similarQuestions) || [];
+    const frontendId = String(question.questionFrontendId || "").trim();
+    const difficulty = String(question.difficulty || "").toLowerCase();
+
+    return {
+      frontendId: frontendId || null,
+      number: /^\d+$/.test(frontendId) ? parseInt(frontendId, 10) : null,
+      title: (isChinese && question.translatedTitle) || question.title || null,
+      englishTitle: question.title || null,
+      translatedTitle: question.translatedTitle || null,
+      difficulty: difficulty
+        ? difficulty.charAt(0).toUpperCase() + difficulty.slice(1)
+        : null,
+      tags: (question.topicTags || [])
+        .map((tag) => (isChinese && tag.translatedName) || tag.name)
+        .filter(Boolean),
+      acceptance: stats.acRate || null,
+      similarQuestions: similar.map((item) => ({
+        title: item.title,
+        translatedTitle: item.translatedTitle || null,
+        titleSlug: item.titleSlug,
+        difficulty: item.difficulty,
+      })),
+      paidOnly: Boolean(question.isPaidOnly),
+      contentHtml:
+        (isChinese && question.translatedContent) || question.content || "",
+    };
+  }
+
+  /**
+   * Problem slug from a problem URL on either site
+   */
+  static slugFromUrl(url) {
+    const match = String(url || "").match(
+      /leetcode\.(?:com|cn)\/problems\/([^/?#]+)/,
+    );
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Both sites' URLs for a slug: { "leetcode.com": ..., "leetcode.cn": ... }
+   */
+  static problemUrls(slug) {
+    return Object.fromEntries(
+      Object.entries(LEETCODE_ORIGINS).map(([site, origin]) => [
+        site,
+        `${origin}/problems/${slug}`,
+      ]),
+    );
+  }
+
+  static parseJson(value) {
+    if (!value || typeof value !== "string") return value || null;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+}
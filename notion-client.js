@@ -0,0 +1,265 @@
+// notion-client.js - Shared Notion REST client (popup, options, background)
+
+const NOTION_API_BASE = "https://api.notion.com/v1";
+const NOTION_API_VERSION = "2022-06-28";
+const NOTION_UNCERTAIN_WRITE_NOTE =
+  " The change may have been saved anyway - check Notion before retrying.";
+
+/**
+ * Error thrown for any failed Notion request.
+ * `message` is written for the user; `detail` keeps Notion's original text.
+ * `idempotent` is false for creates and appends, which may have gone through
+ * even though the response was a timeout or server error.
+ */
+class NotionApiError extends Error {
+  constructor(
+    message,
+    { status = 0, code = null, detail = "", idempotent = true } = {},
+  ) {
+    super(message);
+    this.name = "NotionApiError";
+    this.status = status;
+    this.code = code;
+    this.detail = detail;
+    this.idempotent = idempotent;
+  }
+
+  /**
+   * Transient failures (network, timeout, rate limit, server errors)
+   * that are worth trying again later. A rate limit means the request was
+   * not processed; anything else only counts when repeating is safe.
+   */
+  get retryable() {
+    if (this.status === 429) return true;
+    return (
+      this.idempotent &&
+      (this.status === 0 || this.status >= 500 || this.code === "timeout")
+    );
+  }
+}
+
+class NotionClient {
+  constructor(token, options = {}) {
+    this.token = token;
+    this.timeoutMs = options.timeoutMs ?? 15000;
+    this.maxRetries = options.maxRetries ?? 3;
+  }
+
+  getDatabase(databaseId) {
+    return this.request(`/databases/${databaseId}`);
+  }
+
+  queryDatabase(databaseId, body = {}) {
+    return this.request(`/databases/${databaseId}/query`, {
+      method: "POST",
+      body,
+    });
+  }
+
+  createDatabase(body) {
+    return this.request("/databases", { method: "POST", body });
+  }
+
+  updateDatabase(databaseId, body) {
+    return this.request(`/databases/${databaseId}`, { method: "PATCH", body });
+  }
+
+  getPage(pageId) {
+    return this.request(`/pages/${pageId}`);
+  }
+
+  /**
+   * One page of a property's items (relations beyond the 25 a page object
+   * includes)
+   */
+  getPageProperty(pageId, propertyId, startCursor = null) {
+    const query = startCursor
+      ? `?start_cursor=${encodeURIComponent(startCursor)}`
+      : "";
+    return this.request(
+      `/pages/${pageId}/properties/${encodeURIComponent(propertyId)}${query}`,
+    );
+  }
+
+  createPage(body) {
+    return this.request("/pages", { method: "POST", body });
+  }
+
+  updatePage(pageId, body) {
+    return this.request(`/pages/${pageId}`, { method: "PATCH", body });
+  }
+
+  listBlockChildren(blockId, startCursor = null) {
+    const query = startCursor
+      ? `?page_size=100&start_cursor=${encodeURIComponent(startCursor)}`
+      : "?page_size=100";
+    return this.request(`/blocks/${blockId}/children${query}`);
+  }
+
+  appendBlockChildren(blockId, children) {
+    return this.request(`/blocks/${blockId}/children`, {
+      method: "PATCH",
+      body: { children },
+    });
+  }
+
+  /**
+   * Send a request, retrying 429 / 5xx responses with backoff.
+   * Network failures are only retried for GET, since a POST that timed out
+   * may still have created a page.
+   */
+  async request(path, { method = "GET", body } = {}) {
+    const idempotent = NotionClient.isIdempotent(method, path);
+    for (let attempt = 0; ; attempt += 1) {
+      let response;
+      try {
+        response = await this.fetchWithTimeout(path, method, body);
+      } catch (error) {
+        const apiError = this.toNetworkError(error, idempotent);
+        if (idempotent && attempt < this.maxRetries) {
+          await this.sleep(this.backoffDelay(attempt));
+          continue;
+        }
+        throw apiError;
+      }
+
+      if (response.ok) {
+        return await response.json();
+      }
+
+      const shouldRetry =
+        response.status === 429 || (idempotent && response.status >= 500);
+      if (shouldRetry && attempt < this.maxRetries) {
+        await this.sleep(this.retryDelay(response, attempt));
+        continue;
+      }
+
+      throw await this.toApiError(response, idempotent);
+    }
+  }
+
+  /**
+   * Whether sending a request twice is harmless: reads, queries and
+   * property updates are; creating pages / databases and appending blocks
+   * are not (a 502 can arrive after the write went through)
+   */
+  static isIdempotent(method, path) {
+    if (method === "GET") return true;
+    if (method === "POST") return /^\/databases\/[^/]+\/query$/.test(path);
+    if (method === "PATCH") return !path.endsWith("/children");
+    return false;
+  }
+
+  async fetchWithTimeout(path, method, body) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      return await fetch(`${NOTION_API_BASE}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${this.token}`,
+          "Notion-Version": NOTION_API_VERSION,
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        },
+        ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+        signal: controller.signal,
+      });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  retryDelay(response, attempt) {
+    const retryAfter = Number.parseFloat(
+      response.headers.get("Retry-After") || "",
+    );
+    if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+      return Math.min(retryAfter * 1000, 60 * 1000);
+    }
+    return this.backoffDelay(attempt);
+  }
+
+  backoffDelay(attempt) {
+    const base = 1000 * 2 ** attempt;
+    return Math.min(base + Math.random() * 250, 30 * 1000);
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  toNetworkError(error, idempotent = true) {
+    const note = idempotent ? "" : NOTION_UNCERTAIN_WRITE_NOTE;
+    if (error?.name === "AbortError") {
+      return new NotionApiError(
+        `Notion did not respond within ${Math.round(this.timeoutMs / 1000)}s. ` +
+          "Check your connection and try again." +
+          note,
+        { code: "timeout", detail: error.message, idempotent },
+      );
+    }
+    return new NotionApiError(
+      "Could not reach Notion. Check your internet connection and try again." +
+        note,
+      { code: "network_error", detail: error?.message || "", idempotent },
+    );
+  }
+
+  async toApiError(response, idempotent = true) {
+    let payload = {};
+    try {
+      payload = await response.json();
+    } catch (error) {
+      // Non-JSON error body (e.g. gateway HTML page).
+    }
+
+    const code = payload.code || null;
+    const detail = payload.message || "";
+    const note =
+      !idempotent && response.status >= 500 ? NOTION_UNCERTAIN_WRITE_NOTE : "";
+    return new NotionApiError(
+      NotionClient.describeError(code, response.status, detail) + note,
+      { status: response.status, code, detail, idempotent },
+    );
+  }
+
+  /**
+   * Turn a Notion error code into a message that says how to fix it.
+   */
+  static describeError(code, status, detail = "") {
+    switch (code) {
+      case "unauthorized":
+        return (
+          "Notion rejected the integration token. Open Options and paste a " +
+          "current token from notion.so/my-integrations."
+        );
+      case "object_not_found":
+        return (
+          "Notion could not find the database or page. Check the Database ID " +
+          'and make sure the database is shared with your integration ("..." ' +
+          '→ "Add connections").'
+        );
+      case "restricted_resource":
+        return (
+          "The integration is not allowed to access this database. In Notion, " +
+          'open the database "..." menu → "Connections", add your integration ' +
+          "and give it read, insert and update content capabilities."
+        );
+      case "validation_error":
+        return (
+          `Notion rejected the data: ${detail || "validation failed"}. ` +
+          "Check that your database properties use the types listed in Options."
+        );
+      case "rate_limited":
+        return "Notion is rate limiting requests. Wait a few seconds and try again.";
+      default:
+        break;
+    }
+
+    if (status >= 500) {
+      return `Notion is temporarily unavailable (${status}). Try again in a moment.`;
+    }
+    return detail || `Notion request failed (${status})`;
+  }
+}
@@ -0,0 +1,284 @@
+// notion-schema.js - Database properties the extension knows how to fill
+
+// Property mapping value meaning "never write this field"
+const SKIP_PROPERTY = "__skip__";
+
+/**
+ * One entry per record field written to Notion.
+ * - key: property of the prepared record (see prepareNotionData)
+ * - name: property name used when creating a database
+ * - aliases: names matched against an existing database
+ * - options: select choices created with a new database
+ * Relation fields point back at the same database, so they can only be
+ * added once it exists (see relationProperties).
+ */
+const NOTION_FIELDS = [
+  {
+    key: "title",
+    name: "Problem Name",
+    type: "title",
+    aliases: ["Problem Name", "Name", "Title"],
+  },
+  {
+    key: "number",
+    name: "Number",
+    type: "number",
+    aliases: ["Number", "Problem Number", "ID", "#", "编号"],
+  },
+  {
+    key: "difficulty",
+    name: "Difficulty",
+    type: "select",
+    aliases: ["Difficulty", "难度"],
+    options: [
+      { name: "Easy", color: "green" },
+      { name: "Medium", color: "yellow" },
+      { name: "Hard", color: "red" },
+    ],
+  },
+  {
+    key: "status",
+    name: "Status",
+    type: "select",
+    aliases: ["Status", "状态"],
+    options: [
+      { name: "Solved", color: "green" },
+      { name: "Review", color: "yellow" },
+      { name: "Mastered", color: "purple" },
+    ],
+  },
+  {
+    key: "url",
+    name: "URL",
+    type: "url",
+    aliases: ["URL", "Link", "链接"],
+  },
+  {
+    key: "comUrl",
+    name: "LeetCode.com URL",
+    type: "url",
+    aliases: ["LeetCode.com URL", "LeetCode URL", "English URL"],
+  },
+  {
+    key: "cnUrl",
+    name: "LeetCode.cn URL",
+    type: "url",
+    aliases: ["LeetCode.cn URL", "力扣链接", "Chinese URL"],
+  },
+  {
+    key: "englishTitle",
+    name: "English Title",
+    type: "rich_text",
+    aliases: ["English Title", "英文标题"],
+  },
+  {
+    key: "translatedTitle",
+    name: "Chinese Title",
+    type: "rich_text",
+    aliases: ["Chinese Title", "Translated Title", "中文标题"],
+  },
+  {
+    key: "timeSpent",
+    name: "Time Spent",
+    type: "rich_text",
+    aliases: ["Time Spent", "耗时"],
+  },
+  {
+    key: "activeTime",
+    name: "Active Time",
+    type: "rich_text",
+    aliases: ["Active Time", "专注时间"],
+  },
+  {
+    key: "wallTime",
+    name: "Wall Time",
+    type: "rich_text",
+    aliases: ["Wall Time", "Wall Clock Time", "总时长"],
+  },
+  {
+    key: "dateCompleted",
+    name: "Date Completed",
+    type: "date",
+    aliases: ["Date Completed", "完成日期"],
+  },
+  {
+    key: "notes",
+    name: "Notes",
+    type: "rich_text",
+    aliases: ["Notes", "备注"],
+  },
+  {
+    key: "language",
+    name: "Language",
+    type: "select",
+    aliases: ["Language", "语言"],
+    options: [
+      { name: "python3", color: "blue" },
+      { name: "python", color: "blue" },
+      { name: "java", color: "orange" },
+      { name: "cpp", color: "purple" },
+      { name: "c", color: "gray" },
+      { name: "csharp", color: "purple" },
+      { name: "javascript", color: "yellow" },
+      { name: "typescript", color: "blue" },
+      { name: "golang", color: "blue" },
+      { name: "rust", color: "brown" },
+      { name: "kotlin", color: "purple" },
+      { name: "swift", color: "orange" },
+      { name: "mysql", color: "gray" },
+    ],
+  },
+  {
+    key: "neededHint",
+    name: "Needed Hint",
+    type: "checkbox",
+    aliases: ["Needed Hint", "需要提示", "Hint", "Did I need a hint?"],
+  },
+  {
+    key: "canRedo",
+    name: "Can Redo",
+    type: "checkbox",
+    aliases: ["Can Redo", "可以重做", "Redo", "Could I redo it in a week"],
+  },
+  {
+    key: "tags",
+    name: "Tags",
+    type: "multi_select",
+    aliases: ["Tags", "Topics", "标签"],
+  },
+  {
+    key: "companies",
+    name: "Companies",
+    type: "multi_select",
+    aliases: ["Companies", "Company", "公司"],
+  },
+  {
+    key: "similar",
+    name: "Similar",
+    type: "relation",
+    aliases: ["Similar", "Similar Problems", "Related Problems", "相似题目"],
+  },
+  {
+    key: "paidOnly",
+    name: "Premium",
+    type: "checkbox",
+    aliases: ["Premium", "Paid Only", "会员题"],
+  },
+  {
+    key: "runtimeMs",
+    name: "Runtime (ms)",
+    type: "number",
+    aliases: ["Runtime (ms)", "Runtime", "执行用时"],
+  },
+  {
+    key: "runtimePercentile",
+    name: "Runtime Beats %",
+    type: "number",
+    aliases: ["Runtime Beats %", "Runtime Percentile", "执行用时击败"],
+  },
+  {
+    key: "memoryMb",
+    name: "Memory (MB)",
+    type: "number",
+    aliases: ["Memory (MB)", "Memory", "内存消耗"],
+  },
+  {
+    key: "memoryPercentile",
+    name: "Memory Beats %",
+    type: "number",
+    aliases: ["Memory Beats %", "Memory Percentile", "内存消耗击败"],
+  },
+  {
+    key: "failedAttempts",
+    name: "Failed Submissions",
+    type: "number",
+    aliases: ["Failed Submissions", "Failed Attempts", "失败提交"],
+  },
+  {
+    key: "failureKinds",
+    name: "Failure Kinds",
+    type: "multi_select",
+    aliases: ["Failure Kinds", "Verdicts", "失败类型"],
+    options: [
+      { name: "Wrong Answer", color: "red" },
+      { name: "Time Limit Exceeded", color: "orange" },
+      { name: "Memory Limit Exceeded", color: "yellow" },
+      { name: "Runtime Error", color: "pink" },
+      { name: "Compile Error", color: "gray" },
+      { name: "Output Limit Exceeded", color: "brown" },
+    ],
+  },
+  {
+    key: "attempts",
+    name: "Attempts",
+    type: "number",
+    aliases: ["Attempts", "Attempt Count", "尝试次数"],
+  },
+  {
+    key: "lastAttempted",
+    name: "Last Attempted",
+    type: "date",
+    aliases: ["Last Attempted", "Last Attempt", "最近尝试"],
+  },
+  {
+    key: "nextReview",
+    name: "Next Review",
+    type: "date",
+    aliases: ["Next Review", "Review Date", "下次复习"],
+  },
+  {
+    key: "reviewCount",
+    name: "Review Count",
+    type: "number",
+    aliases: ["Review Count", "Reviews", "复习次数"],
+  },
+  {
+    key: "reviewInterval",
+    name: "Review Interval",
+    type: "number",
+    aliases: ["Review Interval", "Interval (days)", "复习间隔"],
+  },
+];
+
+class NotionSchema {
+  static field(key) {
+    return NOTION_FIELDS.find((field) => field.key === key) || null;
+  }
+
+  /**
+   * Property definitions for POST /v1/databases
+   */
+  static databaseProperties() {
+    const properties = {};
+    for (const field of NOTION_FIELDS) {
+      if (field.type === "relation") continue;
+      properties[field.name] = this.propertyDefinition(field);
+    }
+    return properties;
+  }
+
+  /**
+   * Self-relations for PATCH /v1/databases/{id} once the database exists.
+   * One-way: the extension writes the back-links itself.
+   */
+  static relationProperties(databaseId) {
+    const properties = {};
+    for (const field of NOTION_FIELDS) {
+      if (field.type !== "relation") continue;
+      properties[field.name] = {
+        relation: { database_id: databaseId, single_property: {} },
+      };
+    }
+    return properties;
+  }
+
+  static propertyDefinition(field) {
+    if (field.type === "select" || field.type === "multi_select") {
+      return { [field.type]: { options: field.options || [] } };
+    }
+    if (field.type === "number") {
+      return { number: { format: "number" } };
+    }
+    return { [field.type]: {} };
+  }
+}
@@ -0,0 +1,1134 @@
+// notion-sync.js - Duplicate detection and page writes (popup + background)
+
+/**
+ * ARCHITECTURE OVERVIEW
+ *
+ * Duplicate Detection Strategy:
+ * 1. Extract problem number from page (most reliable identifier; the same
+ *    on leetcode.com and leetcode.cn, so either site finds the same page)
+ * 2. Check cache by problem key - the number, or the slug without one
+ * 3. If miss/stale -> Query Notion: Number, then URL, then title link,
+ *    then title text (see findPageInNotion)
+ * 4. Cache result with timestamp
+ *
+ * Cache Structure:
+ * - Key: `problem_${profileId}_${problemKey}` (scoped per profile since
+ *   each profile has its own database)
+ * - Value: { pageId, url, timestamp }
+ * - TTL: 1 hour (prevents stale data)
+ *
+ * Benefits:
+ * - Fast: Cache hit = 0ms, Cache miss = 300ms
+ * - Accurate: Problem number never changes
+ * - Simple: No complex validation needed
+ * - Reliable: Short TTL prevents stale data
+ */
+
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+// Filled in on re-saves too, so a page saved from one site picks up the
+// other site's title
+const CROSS_SITE_KEYS = ["englishTitle", "translatedTitle", "comUrl", "cnUrl"];
+
+class NotionSync {
+  constructor(settings) {
+    this.settings = settings;
+    this.client = new NotionClient(settings.notionToken);
+    this.scheduler = new ReviewScheduler(settings.reviewIntervals);
+  }
+
+  /**
+   * Settings for one profile (the active one by default):
+   * { profileId, profileName, notionToken, databaseId, propertyMapping,
+   *   reviewIntervals, canonicalSite }
+   */
+  static async loadSettings(profileId = null) {
+    const [profile, { reviewIntervals, canonicalSite }] = await Promise.all([
+      profileId
+        ? Profiles.get(profileId)
+        : Profiles.getActiveId().then((id) => Profiles.get(id)),
+      chrome.storage.local.get(["reviewIntervals", "canonicalSite"]),
+    ]);
+    if (!profile) return { profileId, reviewIntervals, canonicalSite };
+
+    return {
+      profileId: profile.id,
+      profileName: profile.name,
+      notionToken: profile.notionToken,
+      databaseId: profile.databaseId,
+      propertyMapping: profile.propertyMapping || {},
+      reviewIntervals,
+      canonicalSite,
+    };
+  }
+
+  /**
+   * Build the record written to Notion from extracted problem data and the
+   * user's inputs (popup form, or defaults for an auto-save).
+   * `settings.canonicalSite` picks the site for the URL and the title
+   * language; both sites' URLs and titles are kept in their own fields.
+   */
+  static buildRecord(problemData, inputs, settings = {}) {
+    const elapsedMs = inputs.elapsedMs || 0;
+    const site = NotionSync.canonicalSite(problemData, settings.canonicalSite);
+
+    const englishTitle =
+      problemData.englishTitle ||
+      (problemData.domain === "leetcode.com" ? problemData.title : null);
+    const translatedTitle = problemData.translatedTitle || null;
+
+    // Format problem name with number
+    let problemName =
+      (site === "leetcode.cn" ? translatedTitle : englishTitle) ||
+      problemData.title;
+    if (problemData.number && !problemName.match(/^\d+\./)) {
+      problemName = `${problemData.number}. ${problemName}`;
+    }
+
+    const slug = problemData.slug || LeetCodeApi.slugFromUrl(problemData.url);
+    const siteUrls = slug ? LeetCodeApi.problemUrls(slug) : {};
+    const problemUrl =
+      siteUrls[site] ||
+      problemData.url
+        .replace("/description/", "/")
+        .replace("/description", "")
+        .replace(/\/$/, "");
+
+    const language =
+      Languages.normalize(inputs.language || problemData.codeLanguage) ||
+      "python3";
+
+    return {
+      ...problemData,
+      slug,
+      problemName,
+      englishTitle,
+      translatedTitle,
+      url: problemUrl,
+      comUrl: siteUrls["leetcode.com"] || null,
+      cnUrl: siteUrls["leetcode.cn"] || null,
+      status: inputs.status,
+      notes: inputs.notes || "",
+      language,
+      codeLanguage: language,
+      neededHint: Boolean(inputs.neededHint),
+      canRedo: Boolean(inputs.canRedo),
+      timeSpent: NotionSync.formatDuration(elapsedMs),
+      wallTime: Number.isFinite(inputs.wallMs)
+        ? NotionSync.formatDuration(inputs.wallMs)
+        : null,
+      activeTime: Number.isFinite(inputs.activeMs)
+        ? NotionSync.formatDuration(inputs.activeMs)
+        : null,
+      timeSpentMinutes: Math.floor(elapsedMs / 60000),
+      dateCompleted: new Date().toISOString(),
+      // Marks this attempt's log section so a replayed save can find it
+      attemptId: crypto.randomUUID().slice(0, 8),
+    };
+  }
+
+  /**
+   * "leetcode.com" / "leetcode.cn" for a record; "current" (or an unknown
+   * value) follows the site the problem was opened on
+   */
+  static canonicalSite(problemData, setting = DEFAULT_CANONICAL_SITE) {
+    if (Object.hasOwn(LEETCODE_ORIGINS, setting)) return setting;
+    if (Object.hasOwn(LEETCODE_ORIGINS, problemData.domain)) {
+      return problemData.domain;
+    }
+    return String(problemData.url || "").includes("leetcode.cn")
+      ? "leetcode.cn"
+      : "leetcode.com";
+  }
+
+  /**
+   * 754000 -> "12m 34s"
+   */
+  static formatDuration(elapsedMs) {
+    const totalSeconds = Math.floor(elapsedMs / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) return `${hours}h ${minutes}m ${seconds}s`;
+    if (minutes > 0) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+  }
+
+  // ============================================================================
+  // DUPLICATE DETECTION
+  // ============================================================================
+
+  /**
+   * Stable identity of a problem for caching: its number, or its slug for
+   * problems without one (a slug never looks like a number)
+   */
+  static problemKey(problem) {
+    if (!problem) return null;
+    if (problem.number) return String(problem.number);
+    return NotionSync.slugOf(problem);
+  }
+
+  /**
+   * Cached page or Notion lookup (see findPageInNotion)
+   * Returns { pageId, url } or null
+   */
+  async findExistingPage(problem) {
+    const problemKey = NotionSync.problemKey(problem);
+    if (!problemKey) return null;
+
+    const cached = await this.getCachedPage(problemKey);
+    if (cached) return cached;
+
+    const page = await this.findPageInNotion(problem);
+    if (!page) return null;
+
+    await this.cachePage(problemKey, page.id, page.url);
+    return { pageId: page.id, url: page.url };
+  }
+
+  /**
+   * Get cached page by problem key (see problemKey)
+   * Returns null if not found or expired
+   */
+  async getCachedPage(problemKey) {
+    const key = this.cacheKey(problemKey);
+    const result = await chrome.storage.local.get(key);
+    const cached = result[key];
+
+    if (!cached) return null;
+
+    // Check if expired
+    const age = Date.now() - (cached.timestamp || 0);
+    if (age > CACHE_TTL) {
+      console.log(`Cache expired for problem ${problemKey}`);
+      await chrome.storage.local.remove(key);
+      return null;
+    }
+
+    return cached;
+  }
+
+  /**
+   * Cache a page by problem key
+   */
+  async cachePage(problemKey, pageId, url) {
+    const key = this.cacheKey(problemKey);
+    await chrome.storage.local.set({
+      [key]: {
+        pageId,
+        url,
+        timestamp: Date.now(),
+      },
+    });
+  }
+
+  async clearCachedPage(problemKey) {
+    await chrome.storage.local.remove(this.cacheKey(problemKey));
+  }
+
+  cacheKey(problemKey) {
+    const profileId = this.settings.profileId || DEFAULT_PROFILE_ID;
+    return `problem_${profileId}_${problemKey}`;
+  }
+
+  /**
+   * Check if a Notion page exists
+   */
+  async checkPageExists(pageId) {
+    try {
+      const page = await this.client.getPage(pageId);
+      return !page.archived && !page.in_trash;
+    } catch (error) {
+      if (error.code === "object_not_found") return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Find a problem's page in Notion. Fallback chain:
+   * 1. Number property equals the problem number
+   * 2. A URL property equals the problem's URL on either site
+   * 3. The title links to the problem's slug
+   * 4. The title text matches one of the problem's titles
+   * A step is skipped when the database lacks the property or the problem
+   * lacks the value. Errors propagate so callers never mistake an outage
+   * for "not saved".
+   */
+  async findPageInNotion(problem) {
+    // Get database schema
+    const db = await this.client.getDatabase(this.settings.databaseId);
+    const dbProperties = db.properties || {};
+
+    return (
+      (await this.findPageByNumber(problem, dbProperties)) ||
+      (await this.findPagesForProblems([problem], dbProperties)).get(problem) ||
+      null
+    );
+  }
+
+  async findPageByNumber(problem, dbProperties) {
+    const numberProp = this.findFieldProperty("number", dbProperties);
+    if (!numberProp || !problem.number) return null;
+
+    const [page] = await this.queryLivePages({
+      property: numberProp.name,
+      number: { equals: Number(problem.number) },
+    });
+    return page || null;
+  }
+
+  /**
+   * Steps 2-4 for several problems at once (used for similar problems too).
+   * Returns a Map of problem -> page for the problems that were found.
+   */
+  async findPagesForProblems(problems, dbProperties) {
+    const found = await this.findPagesByUrl(problems, dbProperties);
+    const rest = problems.filter((problem) => !found.has(problem));
+    if (rest.length === 0) return found;
+
+    return new Map([
+      ...found,
+      ...(await this.findPagesByTitle(rest, dbProperties)),
+    ]);
+  }
+
+  async findPagesByUrl(problems, dbProperties) {
+    const found = new Map();
+    const urlProps = [
+      ...new Set(
+        ["url", "comUrl", "cnUrl"]
+          .map((key) => this.findFieldProperty(key, dbProperties)?.name)
+          .filter(Boolean),
+      ),
+    ];
+    const bySlug = new Map(
+      problems
+        .map((problem) => [NotionSync.slugOf(problem), problem])
+        .filter(([slug]) => slug),
+    );
+    if (urlProps.length === 0 || bySlug.size === 0) return found;
+
+    // Saved URLs may or may not end in "/" or "/description/"
+    const filters = [...bySlug.keys()]
+      .flatMap((slug) => Object.values(LeetCodeApi.problemUrls(slug)))
+      .flatMap((url) => [url, `${url}/`, `${url}/description/`])
+      .flatMap((url) =>
+        urlProps.map((name) => ({ property: name, url: { equals: url } })),
+      );
+
+    for (const page of await this.queryLivePagesMatchingAny(filters)) {
+      for (const name of urlProps) {
+        const slug = LeetCodeApi.slugFromUrl(page.properties?.[name]?.url);
+        const problem = bySlug.get(slug);
+        if (problem && !found.has(problem)) found.set(problem, page);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Steps 3 and 4 share one query: Notion can't filter on a title's link, so
+   * candidates are pages whose title contains one of the problems' titles
+   */
+  async findPagesByTitle(problems, dbProperties) {
+    const found = new Map();
+    const titleProp = this.findTitleProperty(dbProperties);
+    const titlesOf = (problem) => [
+      ...new Set(
+        [problem.englishTitle, problem.translatedTitle, problem.title]
+          .map((title) => NotionSync.stripNumber(title))
+          .filter(Boolean),
+      ),
+    ];
+    const titles = [...new Set(problems.flatMap(titlesOf))];
+    if (!titleProp || titles.length === 0) return found;
+
+    const pages = await this.queryLivePagesMatchingAny(
+      titles.map((title) => ({
+        property: titleProp.name,
+        title: { contains: title },
+      })),
+    );
+    const titleText = (page) => page.properties?.[titleProp.name]?.title || [];
+
+    for (const problem of problems) {
+      const slug = NotionSync.slugOf(problem);
+      const lowerTitles = titlesOf(problem).map((title) => title.toLowerCase());
+      const page =
+        (slug &&
+          pages.find((candidate) =>
+            titleText(candidate).some(
+              (text) => LeetCodeApi.slugFromUrl(text.href) === slug,
+            ),
+          )) ||
+        pages.find((candidate) => {
+          const text = titleText(candidate)
+            .map((part) => part.plain_text)
+            .join("");
+          return lowerTitles.includes(
+            NotionSync.stripNumber(text).toLowerCase(),
+          );
+        });
+      if (page) found.set(problem, page);
+    }
+    return found;
+  }
+
+  /**
+   * Query the database, dropping archived / trashed pages
+   */
+  async queryLivePages(filter, pageSize = 1) {
+    const data = await this.client.queryDatabase(this.settings.databaseId, {
+      filter,
+      page_size: pageSize,
+    });
+    return (data.results || []).filter(
+      (page) => !page.archived && !page.in_trash,
+    );
+  }
+
+  /**
+   * Pages matching any of `filters`, in batches that stay under Notion's
+   * limit of 100 filters per compound filter
+   */
+  async queryLivePagesMatchingAny(filters) {
+    const pages = [];
+    for (let start = 0; start < filters.length; start += 100) {
+      const batch = filters.slice(start, start + 100);
+      pages.push(...(await this.queryLivePages({ or: batch }, 100)));
+    }
+    return pages;
+  }
+
+  static slugOf(problem) {
+    return problem.slug || LeetCodeApi.slugFromUrl(problem.url) || null;
+  }
+
+  /**
+   * "1. Two Sum" -> "Two Sum"
+   */
+  static stripNumber(title) {
+    return String(title || "")
+      .replace(/^\s*\d+\.\s*/, "")
+      .trim();
+  }
+
+  /**
+   * The mapped title property, or the database's only title property
+   */
+  findTitleProperty(dbProperties) {
+    return (
+      this.findFieldProperty("title", dbProperties) ||
+      Object.entries(dbProperties)
+        .map(([name, config]) => ({ name, type: config.type }))
+        .find((prop) => prop.type === "title") ||
+      null
+    );
+  }
+
+  /**
+   * Helper: Find a property by aliases
+   * Exact name matches win over substring matches, and properties listed in
+   * `excluded` (pinned to other fields) are never picked. Properties in
+   * `exactElsewhere` (another field's exact name) only match exactly.
+   */
+  findProperty(
+    properties,
+    aliases,
+    allowedTypes = [],
+    excluded = [],
+    exactElsewhere = [],
+  ) {
+    const candidates = Object.entries(properties).filter(
+      ([name, config]) =>
+        !excluded.includes(name) &&
+        (allowedTypes.length === 0 || allowedTypes.includes(config.type)),
+    );
+    const lowerAliases = aliases.map((alias) => alias.toLowerCase());
+
+    const exact = candidates.find(([name]) =>
+      lowerAliases.includes(name.toLowerCase()),
+    );
+    const partial = candidates.find(
+      ([name]) =>
+        !exactElsewhere.includes(name) &&
+        lowerAliases.some((alias) => name.toLowerCase().includes(alias)),
+    );
+
+    const match = exact || partial;
+    return match ? { name: match[0], type: match[1].type } : null;
+  }
+
+  /**
+   * Helper: Find the database property for a NOTION_FIELDS key
+   * Uses the options page mapping first, then falls back to aliases.
+   */
+  findFieldProperty(key, dbProperties) {
+    const field = NotionSchema.field(key);
+    if (!field) return null;
+
+    const mapping = this.settings.propertyMapping || {};
+    const mapped = mapping[key];
+    if (mapped === SKIP_PROPERTY) return null;
+    if (mapped && dbProperties[mapped]?.type === field.type) {
+      return { name: mapped, type: field.type };
+    }
+
+    const pinnedElsewhere = Object.entries(mapping)
+      .filter(([otherKey, name]) => otherKey !== key && name !== SKIP_PROPERTY)
+      .map(([, name]) => name);
+    // "Runtime" is a substring of "Runtime Beats %", which belongs to
+    // runtimePercentile
+    const exactElsewhere = Object.keys(dbProperties).filter((name) =>
+      NOTION_FIELDS.some(
+        (other) =>
+          other.key !== key &&
+          other.aliases.some(
+            (alias) => alias.toLowerCase() === name.toLowerCase(),
+          ),
+      ),
+    );
+    return this.findProperty(
+      dbProperties,
+      field.aliases,
+      [field.type],
+      pinnedElsewhere,
+      exactElsewhere,
+    );
+  }
+
+  // ============================================================================
+  // SAVE TO NOTION
+  // ============================================================================
+
+  /**
+   * Create the page, or update it if this problem is already saved.
+   * Replays from the save queue go through here, so dedupe always applies.
+   * Returns { page, created }
+   */
+  async saveRecord(data, knownPageId = null) {
+    const problemKey = NotionSync.problemKey(data);
+    const existing = knownPageId
+      ? { pageId: knownPageId }
+      : await this.findExistingPage(data);
+
+    if (existing) {
+      try {
+        const page = await this.updateExistingPage(existing.pageId, data);
+        if (problemKey) {
+          await this.cachePage(problemKey, page.id, page.url);
+        }
+        return { page, created: false };
+      } catch (error) {
+        if (error.code !== "object_not_found") throw error;
+        // Page was deleted in Notion - fall through and create a new one
+        if (problemKey) await this.clearCachedPage(problemKey);
+      }
+    }
+
+    const page = await this.sendToNotion(data);
+    if (problemKey) {
+      await this.cachePage(problemKey, page.id, page.url);
+    }
+    return { page, created: true };
+  }
+
+  /**
+   * Bulk import: create missing pages. Pages that already exist only get
+   * their metadata filled in (an existing Date Completed is kept) and the
+   * imported code appended once - no attempt is logged and the review
+   * schedule is left alone.
+   * Returns { page, created }
+   */
+  async importRecord(data) {
+    const problemKey = NotionSync.problemKey(data);
+    const existing = await this.findExistingPage(data);
+
+    if (existing) {
+      try {
+        const [db, current] = await Promise.all([
+          this.client.getDatabase(this.settings.databaseId),
+          this.client.getPage(existing.pageId),
+        ]);
+        const dbProperties = db.properties || {};
+        if (
+          data.code &&
+          !(await this.hasImportedSubmission(existing.pageId, data))
+        ) {
+          const label = data.submissionId
+            ? `Imported submission #${data.submissionId}`
+            : "Imported submission";
+          await this.client.appendBlockChildren(existing.pageId, [
+            {
+              object: "block",
+              type: "heading_3",
+              heading_3: {
+                rich_text: this.buildRichText(
+                  `${label} — ${data.dateCompleted.slice(0, 10)}`,
+                ),
+              },
+            },
+            this.buildCodeBlock(data.code, data.codeLanguage),
+          ]);
+        }
+
+        // Keep the date the page already records
+        const hasDate = Boolean(
+          this.readFieldValue(current, "dateCompleted", dbProperties),
+        );
+        const page = await this.client.updatePage(existing.pageId, {
+          properties: this.buildFieldProperties(data, dbProperties, [
+            "difficulty",
+            "tags",
+            ...(hasDate ? [] : ["dateCompleted"]),
+            "language",
+            ...CROSS_SITE_KEYS,
+          ]),
+        });
+        return { page, created: false };
+      } catch (error) {
+        if (error.code !== "object_not_found") throw error;
+        await this.clearCachedPage(problemKey);
+      }
+    }
+
+    const page = await this.sendToNotion(data);
+    if (problemKey) {
+      await this.cachePage(problemKey, page.id, page.url);
+    }
+    return { page, created: true };
+  }
+
+  /**
+   * Whether a page body already holds this submission: a block labelled
+   * with its id, or a code block with the same code (pages saved before
+   * ids were recorded)
+   */
+  async hasImportedSubmission(pageId, data) {
+    const id = data.submissionId ? String(data.submissionId) : null;
+    // Compare whole ids: "#123" must not match "#1234"
+    const labels = (text) =>
+      [...text.matchAll(/submission #(\d+)/gi)].map((match) => match[1]);
+
+    const block = await this.findBlock(pageId, (candidate) => {
+      if (candidate.type === "code") {
+        if (NotionSync.blockText(candidate) === data.code) return true;
+        return (
+          Boolean(id) &&
+          labels(NotionSync.blockText(candidate, "caption")).includes(id)
+        );
+      }
+      return (
+        Boolean(id) &&
+        candidate.type === "heading_3" &&
+        labels(NotionSync.blockText(candidate)).includes(id)
+      );
+    });
+    return Boolean(block);
+  }
+
+  async sendToNotion(data) {
+    // Get database schema
+    const db = await this.client.getDatabase(this.settings.databaseId);
+    const dbProperties = db.properties || {};
+    const record = {
+      ...data,
+      ...this.scheduler.schedule(data),
+      attempts: 1,
+      lastAttempted: data.dateCompleted,
+      similar: await this.findSimilarPages(data, dbProperties),
+    };
+    const properties = this.buildNotionProperties(record, dbProperties);
+    const children = this.buildNotionChildren(data);
+
+    // Create page
+    const page = await this.client.createPage({
+      parent: { database_id: this.settings.databaseId },
+      properties,
+      ...(children.length > 0 ? { children } : {}),
+    });
+    await this.addBackLinks(page.id, record.similar, dbProperties);
+    return page;
+  }
+
+  /**
+   * Record a re-save as a new attempt: append a dated section to the page
+   * body, then bump "Attempts" / "Last Attempted" and the review schedule.
+   */
+  async updateExistingPage(pageId, data) {
+    const [db, page] = await Promise.all([
+      this.client.getDatabase(this.settings.databaseId),
+      this.client.getPage(pageId),
+    ]);
+    const dbProperties = db.properties || {};
+
+    if (page.archived || page.in_trash) {
+      throw new NotionApiError("The saved Notion page was deleted", {
+        status: 404,
+        code: "object_not_found",
+      });
+    }
+
+    // A replayed save (from the queue) may already be partly done: the
+    // attempt section is written last, so finding it means nothing is left
+    if (
+      data.attemptId &&
+      (await this.findBlock(pageId, (block) =>
+        NotionSync.blockText(block).includes(`ref ${data.attemptId}`),
+      ))
+    ) {
+      return page;
+    }
+
+    // lastAttempted already equal to this attempt's time: the properties
+    // were patched before the append failed
+    const lastAttempted = this.readFieldValue(
+      page,
+      "lastAttempted",
+      dbProperties,
+    );
+    const propertiesSaved =
+      Boolean(lastAttempted && data.dateCompleted) &&
+      new Date(lastAttempted).getTime() ===
+        new Date(data.dateCompleted).getTime();
+
+    const previousAttempts =
+      this.readFieldValue(page, "attempts", dbProperties) || 1;
+    const similar = await this.findSimilarPages(data, dbProperties, pageId);
+    const record = propertiesSaved
+      ? {
+          ...data,
+          attempts: previousAttempts,
+          nextReview: this.readFieldValue(page, "nextReview", dbProperties),
+        }
+      : {
+          ...data,
+          ...this.scheduler.schedule(
+            data,
+            this.readReviewState(page, dbProperties),
+          ),
+          attempts: previousAttempts + 1,
+          lastAttempted: data.dateCompleted,
+          similar: [
+            ...new Set([
+              ...(await this.readRelationIds(page, "similar", dbProperties)),
+              ...similar,
+            ]),
+          ],
+        };
+
+    // Properties are built (and validated) and patched before anything is
+    // appended, so a failed patch leaves the page body untouched
+    const properties = {
+      ...this.buildCheckboxUpdateProperties(record, dbProperties),
+      ...this.buildFieldProperties(record, dbProperties, [
+        "status",
+        "attempts",
+        "lastAttempted",
+        "nextReview",
+        "reviewCount",
+        "reviewInterval",
+        "runtimeMs",
+        "runtimePercentile",
+        "memoryMb",
+        "memoryPercentile",
+        "failedAttempts",
+        "failureKinds",
+        "companies",
+        "similar",
+        ...CROSS_SITE_KEYS,
+      ]),
+    };
+
+    let updated = page;
+    if (!propertiesSaved && Object.keys(properties).length > 0) {
+      updated = await this.client.updatePage(pageId, { properties });
+    }
+    await this.addBackLinks(pageId, similar, dbProperties);
+    await this.client.appendBlockChildren(
+      pageId,
+      this.buildAttemptBlocks(record),
+    );
+    return updated;
+  }
+
+  /**
+   * First top-level block of a page matching `predicate`, or null
+   */
+  async findBlock(pageId, predicate) {
+    let cursor = null;
+    do {
+      const result = await this.client.listBlockChildren(pageId, cursor);
+      const block = (result.results || []).find(predicate);
+      if (block) return block;
+      cursor = result.has_more ? result.next_cursor : null;
+    } while (cursor);
+    return null;
+  }
+
+  /**
+   * Plain text of a block's rich text (a code block's caption is separate)
+   */
+  static blockText(block, part = "rich_text") {
+    const richText = block?.[block?.type]?.[part] || [];
+    return richText.map((text) => text.plain_text).join("");
+  }
+
+  // ============================================================================
+  // SIMILAR PROBLEMS
+  // ============================================================================
+
+  /**
+   * IDs of pages in this database for the problem's similar questions.
+   * Empty unless "Similar" is a relation to this same database.
+   */
+  async findSimilarPages(data, dbProperties, pageId = null) {
+    if (!this.findSimilarProperty(dbProperties)) return [];
+
+    const problems = (data.similarQuestions || [])
+      .filter((item) => item?.titleSlug)
+      .map((item) => ({
+        slug: item.titleSlug,
+        title: item.title,
+        translatedTitle: item.translatedTitle,
+      }));
+    if (problems.length === 0) return [];
+
+    const found = await this.findPagesForProblems(problems, dbProperties);
+    return [...new Set([...found.values()].map((page) => page.id))].filter(
+      (id) => id !== pageId,
+    );
+  }
+
+  /**
+   * The "Similar" property, if it is a relation to this same database
+   */
+  findSimilarProperty(dbProperties) {
+    const prop = this.findFieldProperty("similar", dbProperties);
+    const target = prop && dbProperties[prop.name].relation?.database_id;
+    const compact = (id) => String(id || "").replace(/-/g, "");
+    return target && compact(target) === compact(this.settings.databaseId)
+      ? prop
+      : null;
+  }
+
+  /**
+   * A one-way relation only shows on the page that set it, so add this
+   * page to each related page's "Similar" as well. Two-way relations are
+   * synced by Notion. A failure here only costs the back-link.
+   */
+  async addBackLinks(pageId, relatedIds, dbProperties) {
+    const prop = this.findSimilarProperty(dbProperties);
+    if (!prop || dbProperties[prop.name].relation.type === "dual_property") {
+      return;
+    }
+
+    for (const relatedId of relatedIds) {
+      try {
+        const related = await this.client.getPage(relatedId);
+        const linked = await this.readRelationIds(
+          related,
+          "similar",
+          dbProperties,
+        );
+        if (linked.includes(pageId)) continue;
+
+        await this.client.updatePage(relatedId, {
+          properties: this.buildFieldProperties(
+            { similar: [...linked, pageId] },
+            dbProperties,
+            ["similar"],
+          ),
+        });
+      } catch (error) {
+        console.warn(`Could not link back from ${relatedId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * All ids of a relation field. Page objects carry at most 25 relation
+   * items, so longer lists are read page by page from the property
+   * endpoint - writing back a truncated list would drop the rest.
+   */
+  async readRelationIds(page, key, dbProperties) {
+    const prop = this.findFieldProperty(key, dbProperties);
+    const value = prop && page.properties?.[prop.name];
+    if (value?.type !== "relation") return [];
+    if (!value.has_more) return value.relation.map((item) => item.id);
+
+    const ids = [];
+    let cursor = null;
+    do {
+      const result = await this.client.getPageProperty(
+        page.id,
+        value.id,
+        cursor,
+      );
+      for (const item of result.results || []) {
+        if (item.relation?.id) ids.push(item.relation.id);
+      }
+      cursor = result.has_more ? result.next_cursor : null;
+    } while (cursor);
+    return ids;
+  }
+
+  /**
+   * Previous spaced-repetition state stored on a page
+   */
+  readReviewState(page, dbProperties) {
+    const reviewCount = this.readFieldValue(page, "reviewCount", dbProperties);
+    const interval = this.readFieldValue(page, "reviewInterval", dbProperties);
+    const nextReview = this.readFieldValue(page, "nextReview", dbProperties);
+    const lastDate =
+      this.readFieldValue(page, "lastAttempted", dbProperties) ||
+      this.readFieldValue(page, "dateCompleted", dbProperties);
+
+    let intervalDays = Number.isFinite(interval) ? interval : null;
+    if (intervalDays === null && nextReview && lastDate) {
+      intervalDays = ReviewScheduler.daysBetween(lastDate, nextReview);
+    }
+
+    return { reviewCount: reviewCount || 0, intervalDays };
+  }
+
+  /**
+   * Read a NOTION_FIELDS value back from a page's properties
+   */
+  readFieldValue(page, key, dbProperties) {
+    const prop = this.findFieldProperty(key, dbProperties);
+    const value = prop && page.properties?.[prop.name];
+    if (!value) return null;
+
+    if (value.type === "number") return value.number;
+    if (value.type === "date") return value.date?.start || null;
+    if (value.type === "checkbox") return value.checkbox;
+    if (value.type === "select") return value.select?.name || null;
+    if (value.type === "url") return value.url;
+    if (value.type === "relation") {
+      return value.relation.map((item) => item.id);
+    }
+    if (value.type === "multi_select") {
+      return value.multi_select.map((option) => option.name);
+    }
+    if (value.type === "title" || value.type === "rich_text") {
+      return value[value.type].map((text) => text.plain_text).join("");
+    }
+    return null;
+  }
+
+  buildCheckboxUpdateProperties(data, dbProperties = {}) {
+    const properties = {};
+
+    for (const key of ["neededHint", "canRedo"]) {
+      const prop = this.findFieldProperty(key, dbProperties);
+      if (prop) {
+        properties[prop.name] = { checkbox: Boolean(data[key]) };
+      }
+    }
+
+    return properties;
+  }
+
+  buildNotionProperties(data, dbProperties) {
+    const properties = {};
+
+    // Title property (required)
+    const titleProp = this.findTitleProperty(dbProperties);
+
+    if (!titleProp) {
+      throw new Error("No title property found in database");
+    }
+
+    properties[titleProp.name] = {
+      title: [
+        {
+          text: {
+            content: data.problemName,
+            link: { url: data.url },
+          },
+        },
+      ],
+    };
+
+    // Other properties - record keys match NOTION_FIELDS keys
+    const otherKeys = NOTION_FIELDS.map((field) => field.key).filter(
+      (key) => key !== "title",
+    );
+    return {
+      ...properties,
+      ...this.buildFieldProperties(data, dbProperties, otherKeys),
+    };
+  }
+
+  buildFieldProperties(data, dbProperties, keys) {
+    const properties = {};
+
+    for (const key of keys) {
+      const prop = this.findFieldProperty(key, dbProperties);
+      const value = data[key];
+      if (!prop) continue;
+
+      // For checkboxes, send even if false; for others, skip if empty
+      if (prop.type === "checkbox" || !this.isEmptyValue(prop.type, value)) {
+        properties[prop.name] = this.buildPropertyValue(prop.type, value);
+      }
+    }
+
+    return properties;
+  }
+
+  isEmptyValue(type, value) {
+    if (Array.isArray(value)) return value.length === 0;
+    if (type === "number") return !Number.isFinite(value);
+    return !value;
+  }
+
+  buildPropertyValue(type, value) {
+    if (type === "rich_text")
+      return { rich_text: [{ text: { content: String(value) } }] };
+    if (type === "url") return { url: String(value) };
+    if (type === "number") return { number: Number(value) };
+    if (type === "select") return { select: { name: String(value) } };
+    if (type === "date") return { date: { start: String(value) } };
+    if (type === "checkbox") return { checkbox: Boolean(value) };
+    if (type === "multi_select")
+      return { multi_select: value.map((name) => ({ name: String(name) })) };
+    if (type === "relation")
+      return { relation: value.map((id) => ({ id: String(id) })) };
+    return null;
+  }
+
+  /**
+   * New page body: the problem statement (collapsed) above the solution
+   */
+  buildNotionChildren(data) {
+    const children = [];
+    if (Array.isArray(data.description) && data.description.length > 0) {
+      children.push({
+        object: "block",
+        type: "toggle",
+        toggle: {
+          rich_text: [
+            {
+              type: "text",
+              text: { content: "Problem Statement" },
+              annotations: { bold: true },
+            },
+          ],
+          children: data.description,
+        },
+      });
+    }
+    if (data.code) {
+      children.push(
+        this.buildCodeBlock(
+          data.code,
+          data.codeLanguage,
+          data.submissionId ? `Submission #${data.submissionId}` : null,
+        ),
+      );
+    }
+    return children;
+  }
+
+  /**
+   * Page body section for one re-save (attempt history log)
+   */
+  buildAttemptBlocks(data) {
+    const when = new Date(data.dateCompleted || Date.now());
+    const pad = (num) => num.toString().padStart(2, "0");
+    const stamp =
+      `${ReviewScheduler.formatDate(when)} ` +
+      `${pad(when.getHours())}:${pad(when.getMinutes())}`;
+
+    const details = [
+      `Time spent: ${data.timeSpent || "-"}`,
+      ...(data.activeTime && data.wallTime
+        ? [`Active / wall time: ${data.activeTime} / ${data.wallTime}`]
+        : []),
+      `Status: ${data.status || "-"}`,
+      `Needed hint: ${data.neededHint ? "Yes" : "No"}`,
+      `Could redo in a week: ${data.canRedo ? "Yes" : "No"}`,
+    ];
+    if (Number.isFinite(data.runtimeMs)) {
+      details.push(
+        `Runtime: ${data.runtimeMs} ms` +
+          (Number.isFinite(data.runtimePercentile)
+            ? ` (beats ${data.runtimePercentile}%)`
+            : ""),
+      );
+    }
+    if (Number.isFinite(data.memoryMb)) {
+      details.push(
+        `Memory: ${data.memoryMb} MB` +
+          (Number.isFinite(data.memoryPercentile)
+            ? ` (beats ${data.memoryPercentile}%)`
+            : ""),
+      );
+    }
+    if (data.failedAttempts > 0) {
+      details.push(
+        `Failed submissions: ${data.failedAttempts} (${data.failureKinds.join(", ")})`,
+      );
+    }
+    if (data.nextReview) details.push(`Next review: ${data.nextReview}`);
+
+    const blocks = [
+      { object: "block", type: "divider", divider: {} },
+      {
+        object: "block",
+        type: "heading_3",
+        heading_3: {
+          rich_text: this.buildRichText(
+            `Attempt ${data.attempts} — ${stamp}` +
+              (data.attemptId ? ` · ref ${data.attemptId}` : ""),
+          ),
+        },
+      },
+      ...details.map((line) => ({
+        object: "block",
+        type: "bulleted_list_item",
+        bulleted_list_item: { rich_text: this.buildRichText(line) },
+      })),
+    ];
+
+    if (data.notes) {
+      blocks.push({
+        object: "block",
+        type: "paragraph",
+        paragraph: { rich_text: this.buildRichText(data.notes) },
+      });
+    }
+
+    if (data.code) {
+      blocks.push(this.buildCodeBlock(data.code, data.codeLanguage));
+    }
+
+    return blocks;
+  }
+
+  buildCodeBlock(code, language, caption = null) {
+    return {
+      object: "block",
+      type: "code",
+      code: {
+        rich_text: this.buildRichText(code),
+        language: Languages.notionCodeLanguage(language || "python3"),
+        ...(caption ? { caption: this.buildRichText(caption) } : {}),
+      },
+    };
+  }
+
+  /**
+   * Split text into rich_text items (Notion caps each at 2000 characters)
+   */
+  buildRichText(text) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += 2000) {
+      chunks.push(text.slice(i, i + 2000));
+    }
+    return chunks.map((chunk) => ({ text: { content: chunk } }));
+  }
+}
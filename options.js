@@ -2,12 +2,17 @@
 
 class SettingsManager {
   constructor() {
+    this.profileId = null; // profile the Notion fields edit
     this.init();
   }
 
-  init() {
-    this.loadSettings();
+  async init() {
     this.setupEventListeners();
+    await this.loadProfiles();
+    await this.loadSettings();
+    this.loadPropertyMapping({ silent: true });
+    this.loadRoutingRules();
+    this.loadShortcuts();
   }
 
   setupEventListeners() {
@@ -20,22 +25,90 @@ class SettingsManager {
     document
       .getElementById("clearSettings")
       .addEventListener("click", () => this.clearSettings());
+    document
+      .getElementById("createDatabase")
+      .addEventListener("click", () => this.createDatabase());
+    document
+      .getElementById("loadMapping")
+      .addEventListener("click", () => this.loadPropertyMapping());
+    document
+      .getElementById("saveMapping")
+      .addEventListener("click", () => this.savePropertyMapping());
+    document
+      .getElementById("saveSchedule")
+      .addEventListener("click", () => this.saveReviewSchedule());
+    document
+      .getElementById("saveAutomation")
+      .addEventListener("click", () => this.saveAutomation());
+    document
+      .getElementById("editShortcuts")
+      .addEventListener("click", (event) => {
+        event.preventDefault();
+        // chrome:// pages can't be opened from a plain link
+        chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+      });
+    document
+      .getElementById("saveSite")
+      .addEventListener("click", () => this.saveSite());
+    document
+      .getElementById("profileSelect")
+      .addEventListener("change", (event) =>
+        this.switchProfile(event.target.value),
+      );
+    document
+      .getElementById("createProfile")
+      .addEventListener("click", () => this.createProfile());
+    document
+      .getElementById("renameProfile")
+      .addEventListener("click", () => this.renameProfile());
+    document
+      .getElementById("deleteProfile")
+      .addEventListener("click", () => this.deleteProfile());
+    document
+      .getElementById("addRule")
+      .addEventListener("click", () => this.addRuleRow());
+    document
+      .getElementById("saveRules")
+      .addEventListener("click", () => this.saveRoutingRules());
+    document
+      .getElementById("exportBackup")
+      .addEventListener("click", () => this.exportBackup());
+    document
+      .getElementById("importBackup")
+      .addEventListener("click", () => this.importBackup());
   }
 
   async loadSettings() {
     try {
-      const result = await chrome.storage.local.get([
-        "notionToken",
-        "databaseId",
+      const [profile, result] = await Promise.all([
+        Profiles.get(this.profileId),
+        chrome.storage.local.get([
+          "reviewIntervals",
+          "onAccepted",
+          "timerMode",
+          "autoStartTimer",
+          "showWidget",
+          "canonicalSite",
+        ]),
       ]);
 
-      if (result.notionToken) {
-        document.getElementById("notionToken").value = result.notionToken;
-      }
+      document.getElementById("notionToken").value = profile?.notionToken || "";
+      document.getElementById("databaseId").value = profile?.databaseId || "";
 
-      if (result.databaseId) {
-        document.getElementById("databaseId").value = result.databaseId;
-      }
+      document.getElementById("reviewIntervals").value = new ReviewScheduler(
+        result.reviewIntervals,
+      ).intervals.join(", ");
+      document.getElementById("onAccepted").value =
+        result.onAccepted || "prompt";
+      document.getElementById("timerMode").value =
+        result.timerMode === "active" ? "active" : "wall";
+      document.getElementById("autoStartTimer").value =
+        result.autoStartTimer || "off";
+      document.getElementById("showWidget").checked = Boolean(
+        result.showWidget,
+      );
+      document.getElementById("canonicalSite").value =
+        result.canonicalSite || DEFAULT_CANONICAL_SITE;
     } catch (error) {
       console.error("Error loading settings:", error);
       this.showStatus("Failed to load settings", "error");
@@ -77,7 +150,7 @@ class SettingsManager {
     }
 
     try {
-      await chrome.storage.local.set({
+      await Profiles.update(this.profileId, {
         notionToken: token,
         databaseId: databaseId,
       });
@@ -109,39 +182,554 @@ class SettingsManager {
     this.showStatus("Testing connection...", "info");
 
     try {
-      const response = await fetch(
-        `https://api.notion.com/v1/databases/${databaseId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Notion-Version": "2022-06-28",
-          },
-        },
+      const db = await new NotionClient(token).getDatabase(databaseId);
+      const dbName = db.title?.[0]?.plain_text || "Unnamed Database";
+      this.showStatus(
+        `✅ Successfully connected to: "${dbName}"`,
+        "success",
       );
+    } catch (error) {
+      console.error("Connection test failed:", error);
+      this.showStatus(`❌ Connection failed: ${error.message}`, "error");
+    }
+  }
 
-      if (response.ok) {
-        const db = await response.json();
-        const dbName = db.title?.[0]?.plain_text || "Unnamed Database";
+  async createDatabase() {
+    const token = document.getElementById("notionToken").value.trim();
+    const parentPageId = this.extractNotionId(
+      document.getElementById("parentPageId").value,
+    );
+    const statusId = "createStatusMessage";
+
+    if (!token) {
+      this.showStatus(
+        "Please enter your integration token first",
+        "error",
+        statusId,
+      );
+      return;
+    }
+
+    if (!parentPageId) {
+      this.showStatus(
+        "Paste a Notion page link or its 32-character page ID",
+        "error",
+        statusId,
+      );
+      return;
+    }
+
+    this.showStatus("Creating database...", "info", statusId);
+
+    try {
+      const client = new NotionClient(token);
+      const db = await client.createDatabase({
+        parent: { type: "page_id", page_id: parentPageId },
+        title: [{ type: "text", text: { content: "LeetCode Problems" } }],
+        properties: NotionSchema.databaseProperties(),
+      });
+
+      // Save it right away so a failed relation below can't leave an
+      // orphaned database that the next attempt duplicates
+      const databaseId = db.id.replace(/-/g, "");
+      await Profiles.update(this.profileId, {
+        notionToken: token,
+        databaseId: databaseId,
+      });
+      document.getElementById("databaseId").value = databaseId;
+
+      try {
+        await client.updateDatabase(db.id, {
+          properties: NotionSchema.relationProperties(db.id),
+        });
+      } catch (error) {
+        console.warn("Adding the Similar relation failed:", error);
         this.showStatus(
-          `✅ Successfully connected to: "${dbName}"`,
-          "success",
+          '⚠️ Created "LeetCode Problems" and saved its Database ID, but ' +
+            `could not add the "Similar" relation (${error.message}). ` +
+            "Add it in Notion as a relation to the same database.",
+          "info",
+          statusId,
         );
-      } else {
-        const error = await response.json();
-        throw new Error(
-          error.message || `Connection failed (${response.status})`,
+        return;
+      }
+
+      this.showStatus(
+        '✅ Created "LeetCode Problems" and saved its Database ID',
+        "success",
+        statusId,
+      );
+    } catch (error) {
+      console.error("Database creation failed:", error);
+      this.showStatus(
+        `❌ Could not create database: ${error.message}`,
+        "error",
+        statusId,
+      );
+    }
+  }
+
+  /**
+   * Accept a page URL or a raw ID (with or without dashes)
+   */
+  extractNotionId(value) {
+    const compact = String(value || "")
+      .trim()
+      .split(/[?#]/)[0]
+      .replace(/-/g, "");
+    const match = compact.match(/([a-f0-9]{32})$/i);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  async loadPropertyMapping({ silent = false } = {}) {
+    const token = document.getElementById("notionToken").value.trim();
+    const databaseId = document.getElementById("databaseId").value.trim();
+    const statusId = "mappingStatusMessage";
+
+    if (!token || !databaseId) {
+      if (!silent) {
+        this.showStatus(
+          "Please enter both token and database ID first",
+          "error",
+          statusId,
+        );
+      }
+      return;
+    }
+
+    if (!silent) {
+      this.showStatus("Loading database properties...", "info", statusId);
+    }
+
+    try {
+      const [db, profile] = await Promise.all([
+        new NotionClient(token).getDatabase(databaseId),
+        Profiles.get(this.profileId),
+      ]);
+      const dbProperties = db.properties || {};
+      this.renderMappingTable(dbProperties, profile?.propertyMapping || {});
+
+      if (!silent) {
+        this.showStatus(
+          `✅ Loaded ${Object.keys(dbProperties).length} properties`,
+          "success",
+          statusId,
         );
       }
     } catch (error) {
-      console.error("Connection test failed:", error);
-      this.showStatus(`❌ Connection failed: ${error.message}`, "error");
+      console.error("Loading database properties failed:", error);
+      if (!silent) {
+        this.showStatus(`❌ ${error.message}`, "error", statusId);
+      }
+    }
+  }
+
+  renderMappingTable(dbProperties, mapping) {
+    const table = document.getElementById("mappingTable");
+    table.innerHTML = "";
+
+    for (const field of NOTION_FIELDS) {
+      const row = document.createElement("div");
+      row.className = "mapping-row";
+
+      const label = document.createElement("label");
+      label.htmlFor = `map-${field.key}`;
+      label.textContent = field.name;
+      const typeEl = document.createElement("small");
+      typeEl.className = "mapping-type";
+      typeEl.textContent = field.type.replace("_", " ");
+      label.appendChild(typeEl);
+
+      const select = document.createElement("select");
+      select.id = `map-${field.key}`;
+      select.className = "input-field mapping-select";
+      select.dataset.key = field.key;
+      select.add(new Option("Auto-detect by name", ""));
+      if (field.key !== "title") {
+        select.add(new Option("Don't write", SKIP_PROPERTY));
+      }
+      Object.entries(dbProperties)
+        .filter(([, config]) => config.type === field.type)
+        .forEach(([name]) => select.add(new Option(name, name)));
+
+      // Keep a pinned property visible even if it was renamed or deleted
+      const saved = mapping[field.key];
+      if (saved && saved !== SKIP_PROPERTY && !dbProperties[saved]) {
+        select.add(new Option(`${saved} (missing)`, saved));
+      }
+      select.value = saved || "";
+
+      row.append(label, select);
+      table.appendChild(row);
+    }
+
+    table.classList.remove("hidden");
+    document.getElementById("saveMapping").disabled = false;
+  }
+
+  async savePropertyMapping() {
+    const mapping = {};
+    document.querySelectorAll(".mapping-select").forEach((select) => {
+      if (select.value) {
+        mapping[select.dataset.key] = select.value;
+      }
+    });
+
+    try {
+      await Profiles.update(this.profileId, { propertyMapping: mapping });
+      this.showStatus(
+        "✅ Property mapping saved",
+        "success",
+        "mappingStatusMessage",
+      );
+    } catch (error) {
+      console.error("Error saving property mapping:", error);
+      this.showStatus(
+        "Failed to save mapping: " + error.message,
+        "error",
+        "mappingStatusMessage",
+      );
+    }
+  }
+
+  // ============================================================================
+  // PROFILES
+  // ============================================================================
+
+  async loadProfiles() {
+    const [profiles, activeId] = await Promise.all([
+      Profiles.list(),
+      Profiles.getActiveId(),
+    ]);
+    if (!profiles.some((profile) => profile.id === this.profileId)) {
+      this.profileId = activeId;
+    }
+
+    const select = document.getElementById("profileSelect");
+    select.innerHTML = "";
+    profiles.forEach((profile) =>
+      select.add(new Option(profile.name, profile.id)),
+    );
+    select.value = this.profileId;
+    document.getElementById("deleteProfile").disabled = profiles.length < 2;
+    return profiles;
+  }
+
+  async switchProfile(profileId) {
+    this.profileId = profileId;
+    await Profiles.setActive(profileId);
+    document.getElementById("statusMessage").classList.add("hidden");
+    document.getElementById("mappingTable").classList.add("hidden");
+    document.getElementById("saveMapping").disabled = true;
+
+    await this.loadSettings();
+    this.loadPropertyMapping({ silent: true });
+  }
+
+  async createProfile() {
+    const name = prompt("Name for the new profile (e.g. Contests):");
+    if (name === null) return;
+
+    try {
+      const profile = await Profiles.create(name);
+      await this.loadProfiles();
+      await this.switchProfile(profile.id);
+      document.getElementById("profileSelect").value = profile.id;
+      this.loadRoutingRules();
+      this.showStatus(
+        `✅ Created "${profile.name}" - enter its token and database ID`,
+        "info",
+      );
+    } catch (error) {
+      console.error("Error creating profile:", error);
+      this.showStatus("Failed to create profile: " + error.message, "error");
+    }
+  }
+
+  async renameProfile() {
+    const profile = await Profiles.get(this.profileId);
+    const name = prompt("Rename profile:", profile?.name || "");
+    if (!name?.trim()) return;
+
+    try {
+      await Profiles.update(this.profileId, { name: name.trim() });
+      await this.loadProfiles();
+      this.loadRoutingRules();
+    } catch (error) {
+      console.error("Error renaming profile:", error);
+      this.showStatus("Failed to rename profile: " + error.message, "error");
+    }
+  }
+
+  async deleteProfile() {
+    const profile = await Profiles.get(this.profileId);
+    if (
+      !profile ||
+      !confirm(
+        `Delete the profile "${profile.name}"?\n\nIts settings, cached pages and routing rules are removed. Your Notion database is not touched.`,
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await Profiles.remove(profile.id);
+      this.profileId = null;
+      await this.loadProfiles();
+      await this.switchProfile(this.profileId);
+      this.loadRoutingRules();
+      this.showStatus(`✅ Deleted "${profile.name}"`, "success");
+    } catch (error) {
+      console.error("Error deleting profile:", error);
+      this.showStatus("Failed to delete profile: " + error.message, "error");
+    }
+  }
+
+  // ============================================================================
+  // ROUTING RULES
+  // ============================================================================
+
+  async loadRoutingRules() {
+    const [rules, profiles] = await Promise.all([
+      Profiles.getRules(),
+      Profiles.list(),
+    ]);
+    this.ruleProfiles = profiles;
+
+    const container = document.getElementById("routingRules");
+    container.innerHTML = "";
+    rules.forEach((rule) => this.addRuleRow(rule));
+  }
+
+  addRuleRow(rule = {}) {
+    const row = document.createElement("div");
+    row.className = "rule-row";
+
+    const field = document.createElement("select");
+    field.className = "input-field rule-field";
+    field.setAttribute("aria-label", "Match on");
+    [
+      ["domain", "Site is"],
+      ["difficulty", "Difficulty is"],
+      ["tag", "Has tag"],
+    ].forEach(([value, label]) => field.add(new Option(label, value)));
+    field.value = ROUTING_FIELDS.includes(rule.field) ? rule.field : "domain";
+
+    const value = document.createElement("input");
+    value.type = "text";
+    value.className = "input-field rule-value";
+    value.placeholder = "leetcode.cn, Hard, Graph...";
+    value.setAttribute("aria-label", "Value");
+    value.value = rule.value || "";
+
+    const profile = document.createElement("select");
+    profile.className = "input-field rule-profile";
+    profile.setAttribute("aria-label", "Save to profile");
+    (this.ruleProfiles || []).forEach(({ id, name }) =>
+      profile.add(new Option(`→ ${name}`, id)),
+    );
+    if (rule.profileId) profile.value = rule.profileId;
+
+    const remove = document.createElement("button");
+    remove.className = "btn btn-secondary";
+    remove.textContent = "✕";
+    remove.title = "Remove rule";
+    remove.addEventListener("click", () => row.remove());
+
+    row.append(field, value, profile, remove);
+    document.getElementById("routingRules").appendChild(row);
+  }
+
+  async saveRoutingRules() {
+    const rules = [...document.querySelectorAll("#routingRules .rule-row")].map(
+      (row) => ({
+        field: row.querySelector(".rule-field").value,
+        value: row.querySelector(".rule-value").value.trim(),
+        profileId: row.querySelector(".rule-profile").value,
+      }),
+    );
+
+    try {
+      await Profiles.saveRules(rules);
+      await this.loadRoutingRules();
+      this.showStatus(
+        "✅ Routing rules saved",
+        "success",
+        "rulesStatusMessage",
+      );
+    } catch (error) {
+      console.error("Error saving routing rules:", error);
+      this.showStatus(
+        "Failed to save rules: " + error.message,
+        "error",
+        "rulesStatusMessage",
+      );
+    }
+  }
+
+  async saveReviewSchedule() {
+    const input = document.getElementById("reviewIntervals");
+    const intervals = ReviewScheduler.parseIntervals(input.value);
+    const statusId = "scheduleStatusMessage";
+
+    if (!intervals) {
+      this.showStatus(
+        "Enter whole numbers of days separated by commas, e.g. 1, 3, 7",
+        "error",
+        statusId,
+      );
+      return;
+    }
+
+    try {
+      await chrome.storage.local.set({ reviewIntervals: intervals });
+      input.value = intervals.join(", ");
+      this.showStatus("✅ Review schedule saved", "success", statusId);
+    } catch (error) {
+      console.error("Error saving review schedule:", error);
+      this.showStatus(
+        "Failed to save schedule: " + error.message,
+        "error",
+        statusId,
+      );
+    }
+  }
+
+  async saveAutomation() {
+    const onAccepted = document.getElementById("onAccepted").value;
+    const timerMode = document.getElementById("timerMode").value;
+    const autoStartTimer = document.getElementById("autoStartTimer").value;
+    const showWidget = document.getElementById("showWidget").checked;
+
+    try {
+      await chrome.storage.local.set({
+        onAccepted,
+        timerMode,
+        autoStartTimer,
+        showWidget,
+      });
+      this.showStatus(
+        "✅ Automation settings saved",
+        "success",
+        "automationStatusMessage",
+      );
+    } catch (error) {
+      console.error("Error saving automation settings:", error);
+      this.showStatus(
+        "Failed to save automation settings: " + error.message,
+        "error",
+        "automationStatusMessage",
+      );
+    }
+  }
+
+  async saveSite() {
+    const canonicalSite = document.getElementById("canonicalSite").value;
+
+    try {
+      await chrome.storage.local.set({ canonicalSite });
+      this.showStatus(
+        "✅ Site saved - applies to the next save",
+        "success",
+        "siteStatusMessage",
+      );
+    } catch (error) {
+      console.error("Error saving site:", error);
+      this.showStatus(
+        "Failed to save site: " + error.message,
+        "error",
+        "siteStatusMessage",
+      );
+    }
+  }
+
+  async loadShortcuts() {
+    const list = document.getElementById("shortcutList");
+    list.innerHTML = "";
+    for (const command of await chrome.commands.getAll()) {
+      if (!command.description) continue;
+      const item = document.createElement("li");
+      const key = document.createElement("code");
+      key.textContent = command.shortcut || "not set";
+      item.append(key, ` ${command.description}`);
+      list.appendChild(item);
+    }
+  }
+
+  async exportBackup() {
+    const includeToken = document.getElementById("backupIncludeToken").checked;
+
+    try {
+      const backup = await ExtensionBackup.create({ includeToken });
+      const blob = new Blob([JSON.stringify(backup, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `leetcode-notion-backup-${backup.exportedAt.slice(0, 10)}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+      this.showStatus(
+        backup.includesToken
+          ? "✅ Backup exported (includes your token - keep it private)"
+          : "✅ Backup exported (token not included)",
+        "success",
+        "backupStatusMessage",
+      );
+    } catch (error) {
+      console.error("Error exporting backup:", error);
+      this.showStatus(
+        "Failed to export backup: " + error.message,
+        "error",
+        "backupStatusMessage",
+      );
+    }
+  }
+
+  async importBackup() {
+    const file = document.getElementById("backupFile").files[0];
+    if (!file) {
+      this.showStatus(
+        "Choose a backup file first",
+        "error",
+        "backupStatusMessage",
+      );
+      return;
+    }
+
+    try {
+      let backup;
+      try {
+        backup = JSON.parse(await file.text());
+      } catch (error) {
+        throw new Error("The file is not valid JSON.");
+      }
+      ExtensionBackup.validate(backup);
+
+      const count = await ExtensionBackup.merge(backup);
+      await this.loadProfiles();
+      await this.loadSettings();
+      this.loadPropertyMapping({ silent: true });
+      this.loadRoutingRules();
+
+      this.showStatus(
+        `✅ Backup from ${backup.exportedAt?.slice(0, 10) || "unknown date"} imported (${count} items)` +
+          (backup.includesToken ? "" : " - enter your token if needed"),
+        "success",
+        "backupStatusMessage",
+      );
+    } catch (error) {
+      console.error("Error importing backup:", error);
+      this.showStatus(error.message, "error", "backupStatusMessage");
     }
   }
 
   async clearSettings() {
     if (
       !confirm(
-        "Are you sure you want to clear all settings and data?\n\nThis will:\n• Remove Notion credentials\n• Clear problem mappings\n• Reset timer state\n\nThis cannot be undone!",
+        "Are you sure you want to clear all settings and data?\n\nThis will:\n• Remove Notion credentials\n• Clear problem mappings\n• Reset timer state\n\nExport a backup first if you may need it.\nThis cannot be undone!",
       )
     ) {
       return;
@@ -150,8 +738,10 @@ class SettingsManager {
     try {
       await chrome.storage.local.clear();
 
-      document.getElementById("notionToken").value = "";
-      document.getElementById("databaseId").value = "";
+      this.profileId = null;
+      await this.loadProfiles();
+      await this.loadSettings();
+      this.loadRoutingRules();
 
       this.showStatus("✅ All data cleared successfully", "success");
     } catch (error) {
@@ -160,8 +750,8 @@ class SettingsManager {
     }
   }
 
-  showStatus(message, type) {
-    const statusEl = document.getElementById("statusMessage");
+  showStatus(message, type, elementId = "statusMessage") {
+    const statusEl = document.getElementById(elementId);
     statusEl.textContent = message;
     statusEl.className = `status-message ${type}`;
     statusEl.classList.remove("hidden");
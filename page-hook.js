@@ -0,0 +1,117 @@
+// page-hook.js - Runs in the page's MAIN world to observe submission results
+//
+// Content scripts cannot see the page's own network traffic, so this wraps
+// fetch / XMLHttpRequest, pairs each `/problems/<slug>/submit/` request with
+// its `/submissions/detail/<id>/check/` result, and forwards finished
+// results to content.js with window.postMessage. Nothing is modified.
+
+(() => {
+  if (window.__LEETCODE_NOTION_HOOK__) return;
+  window.__LEETCODE_NOTION_HOOK__ = true;
+
+  const SUBMIT_PATTERN = /\/problems\/([^/]+)\/submit\/?$/;
+  const CHECK_PATTERN = /\/submissions\/detail\/(\d+)\/check\/?$/;
+  const submissions = new Map(); // submission_id -> { slug, lang, code }
+  const reported = new Set();
+
+  function pathOf(url) {
+    try {
+      return new URL(url, window.location.origin).pathname;
+    } catch (error) {
+      return "";
+    }
+  }
+
+  function parseJson(text) {
+    try {
+      return typeof text === "string" ? JSON.parse(text) : text;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function handleExchange(url, requestBody, responseJson) {
+    if (!responseJson || typeof responseJson !== "object") return;
+    const path = pathOf(url);
+
+    const submitMatch = path.match(SUBMIT_PATTERN);
+    if (submitMatch && responseJson.submission_id) {
+      const body = parseJson(requestBody) || {};
+      submissions.set(String(responseJson.submission_id), {
+        slug: submitMatch[1],
+        lang: body.lang || null,
+        code: body.typed_code || null,
+      });
+      return;
+    }
+
+    const checkMatch = path.match(CHECK_PATTERN);
+    if (!checkMatch || responseJson.state !== "SUCCESS") return;
+
+    const submissionId = checkMatch[1];
+    if (reported.has(submissionId)) return;
+    reported.add(submissionId);
+
+    const submitted = submissions.get(submissionId) || {};
+    window.postMessage(
+      {
+        source: "leetcode-notion-hook",
+        type: "submissionResult",
+        submission: {
+          id: submissionId,
+          slug: submitted.slug || null,
+          lang: submitted.lang || responseJson.lang || null,
+          code: submitted.code || null,
+          result: responseJson,
+        },
+      },
+      window.location.origin,
+    );
+  }
+
+  const originalFetch = window.fetch;
+  window.fetch = async function (input, init) {
+    const response = await originalFetch.apply(this, arguments);
+    try {
+      const url = typeof input === "string" ? input : input?.url;
+      const path = pathOf(url);
+      if (SUBMIT_PATTERN.test(path) || CHECK_PATTERN.test(path)) {
+        response
+          .clone()
+          .json()
+          .then((json) => handleExchange(url, init?.body, json))
+          .catch(() => {});
+      }
+    } catch (error) {
+      // Never interfere with the page's own requests.
+    }
+    return response;
+  };
+
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+
+  XMLHttpRequest.prototype.open = function (method, url) {
+    this.__leetcodeNotionUrl = url;
+    return originalOpen.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.send = function (body) {
+    const url = this.__leetcodeNotionUrl;
+    const path = pathOf(url);
+    if (SUBMIT_PATTERN.test(path) || CHECK_PATTERN.test(path)) {
+      this.addEventListener("load", () => {
+        try {
+          const json =
+            this.responseType === "json"
+              ? this.response
+              : parseJson(this.responseText);
+          handleExchange(url, body, json);
+        } catch (error) {
+          // Ignore unreadable responses.
+        }
+      });
+    }
+    return originalSend.apply(this, arguments);
+  };
+})();
@@ -1,49 +1,47 @@
 // popup.js - Redesigned for speed and accuracy
 
-/**
- * ARCHITECTURE OVERVIEW
- *
- * Duplicate Detection Strategy:
- * 1. Extract problem number from page (most reliable identifier)
- * 2. Check cache by problem number (instant if hit)
- * 3. If miss/stale -> Query Notion by number (1 API call)
- * 4. Cache result with timestamp
- *
- * Cache Structure:
- * - Key: `problem_${number}` (not slug - avoids collisions)
- * - Value: { pageId, url, timestamp }
- * - TTL: 1 hour (prevents stale data)
- *
- * Benefits:
- * - Fast: Cache hit = 0ms, Cache miss = 300ms
- * - Accurate: Problem number never changes
- * - Simple: No complex validation needed
- * - Reliable: Short TTL prevents stale data
- */
-
-const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+// Duplicate detection and Notion writes live in notion-sync.js
+
+// Form fields kept in a problem's draft (see drafts.js)
+const DRAFT_FIELDS = ["status", "language", "neededHint", "canRedo", "notes"];
 
 class LeetCodeNotionApp {
   constructor() {
+    // Display copy of the background timer for this tab's problem
     this.timer = {
-      startTime: null,
-      elapsedTime: 0,
+      slug: null,
+      state: null,
+      syncedAt: 0,
       interval: null,
-      isRunning: false,
     };
     this.isEditingManualTime = false;
 
     this.problemData = null;
     this.notionPageId = null;
     this.notionPageUrl = null;
+    this.profileId = null; // Notion profile this problem is saved to
+
+    // The side panel loads popup.html?mode=sidepanel and follows the active tab
+    this.isSidePanel =
+      new URLSearchParams(window.location.search).get("mode") === "sidepanel";
+    this.windowId = null;
+    this.activeSlug = null;
+    this.reloading = Promise.resolve();
     this.init();
   }
 
   async init() {
+    if (this.isSidePanel) document.body.classList.add("side-panel");
+    this.renderLanguageOptions();
     this.setupEventListeners();
+    await this.renderProfiles();
     await this.checkLeetCodePage();
     await this.loadSettings();
-    this.loadTimerState();
+    await this.loadTimerState();
+    this.renderQueue();
+
+    this.windowId = (await chrome.windows.getCurrent()).id;
+    if (this.isSidePanel) this.followActiveTab();
   }
 
   setupEventListeners() {
@@ -83,6 +81,46 @@ class LeetCodeNotionApp {
     document
       .getElementById("openDatabase")
       .addEventListener("click", () => this.openDatabase());
+
+    document
+      .getElementById("openDashboard")
+      .addEventListener("click", () =>
+        chrome.tabs.create({ url: chrome.runtime.getURL("dashboard.html") }),
+      );
+
+    // Side panel (Chrome 116+)
+    const sidePanelButton = document.getElementById("openSidePanel");
+    if (!this.isSidePanel && chrome.sidePanel?.open) {
+      sidePanelButton.addEventListener("click", () => this.openSidePanel());
+    } else {
+      sidePanelButton.classList.add("hidden");
+    }
+
+    // Keep unsaved form values as a draft for this problem
+    for (const id of DRAFT_FIELDS) {
+      const field = document.getElementById(id);
+      field.addEventListener(id === "notes" ? "input" : "change", () =>
+        this.saveDraft(),
+      );
+    }
+
+    // Save queue
+    document
+      .getElementById("queueList")
+      .addEventListener("click", (event) => this.handleQueueAction(event));
+    document
+      .getElementById("profileSelect")
+      .addEventListener("change", (event) =>
+        this.switchProfile(event.target.value),
+      );
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && changes[SAVE_QUEUE_KEY]) {
+        this.renderQueue();
+      }
+      if (area === "local" && changes[TIMERS_KEY]) {
+        this.loadTimerState();
+      }
+    });
   }
 
   // ============================================================================
@@ -90,40 +128,79 @@ class LeetCodeNotionApp {
   // ============================================================================
 
   startTimer() {
-    if (this.timer.isRunning) return;
-    this.timer.isRunning = true;
-    this.timer.startTime = Date.now() - this.timer.elapsedTime;
-    this.timer.interval = setInterval(() => this.updateTimer(), 100);
-    this.saveTimerState();
-    this.updateTimerButtons();
+    return this.sendTimerAction("startTimer");
   }
 
   pauseTimer() {
-    if (!this.timer.isRunning) return;
-    this.timer.isRunning = false;
-    this.timer.elapsedTime = Date.now() - this.timer.startTime;
-    clearInterval(this.timer.interval);
-    this.saveTimerState();
-    this.updateTimerButtons();
+    return this.sendTimerAction("pauseTimer");
   }
 
   resetTimer() {
-    this.timer.isRunning = false;
-    this.timer.elapsedTime = 0;
-    this.timer.startTime = null;
+    return this.sendTimerAction("resetTimer");
+  }
+
+  /**
+   * Timers run in the background worker; the popup only sends commands and
+   * shows the state it gets back.
+   */
+  async sendTimerAction(action, extra = {}) {
+    if (!this.timer.slug) {
+      this.showError("Open a LeetCode problem to use the timer.");
+      return;
+    }
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action,
+        slug: this.timer.slug,
+        ...extra,
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || "Timer is unavailable");
+      }
+      this.applyTimerState(response.timer);
+    } catch (error) {
+      console.warn(`Timer action ${action} failed:`, error);
+      this.showError(error.message);
+    }
+  }
+
+  applyTimerState(state) {
+    this.timer.state = state || null;
+    this.timer.syncedAt = Date.now();
+
     clearInterval(this.timer.interval);
+    this.timer.interval = state?.isRunning
+      ? setInterval(() => this.updateTimerDisplay(), 250)
+      : null;
+
     this.updateTimerDisplay();
-    this.saveTimerState();
     this.updateTimerButtons();
   }
 
-  updateTimer() {
-    this.timer.elapsedTime = Date.now() - this.timer.startTime;
-    this.updateTimerDisplay();
+  /**
+   * Current times, extrapolated from the last background state:
+   * { elapsedMs, wallMs, activeMs } where elapsedMs follows the timer mode
+   */
+  getTimerTimes() {
+    const state = this.timer.state;
+    if (!state) return { elapsedMs: 0, wallMs: 0, activeMs: 0 };
+
+    const since = Date.now() - this.timer.syncedAt;
+    const wallMs = state.wallMs + (state.isRunning ? since : 0);
+    const activeMs = state.activeMs + (state.isActive ? since : 0);
+    return {
+      elapsedMs: state.mode === "active" ? activeMs : wallMs,
+      wallMs,
+      activeMs,
+    };
+  }
+
+  getElapsedMs() {
+    return this.getTimerTimes().elapsedMs;
   }
 
   updateTimerDisplay() {
-    const display = this.formatClock(this.timer.elapsedTime);
+    const display = this.formatClock(this.getElapsedMs());
     document.getElementById("timerDisplay").textContent = display;
     if (!this.isEditingManualTime) {
       document.getElementById("manualTimeInput").value = display;
@@ -135,17 +212,20 @@ class LeetCodeNotionApp {
     const pauseBtn = document.getElementById("pauseTimer");
     const resetBtn = document.getElementById("resetTimer");
 
-    if (this.timer.isRunning) {
+    const elapsedMs = this.getElapsedMs();
+    if (this.timer.state?.isRunning) {
       startBtn.disabled = true;
       pauseBtn.disabled = false;
       resetBtn.disabled = false;
-      startBtn.textContent = "Running...";
+      startBtn.textContent =
+        this.timer.state.mode === "active" && !this.timer.state.isActive
+          ? "Paused (away)"
+          : "Running...";
     } else {
       startBtn.disabled = false;
       pauseBtn.disabled = true;
-      resetBtn.disabled = this.timer.elapsedTime === 0;
-      startBtn.textContent =
-        this.timer.elapsedTime > 0 ? "Resume Timer" : "Start Timer";
+      resetBtn.disabled = elapsedMs === 0;
+      startBtn.textContent = elapsedMs > 0 ? "Resume Timer" : "Start Timer";
     }
   }
 
@@ -192,71 +272,41 @@ class LeetCodeNotionApp {
     const input = document.getElementById("manualTimeInput");
     const manualMs = this.parseTimeToMs(input.value);
     if (manualMs === null) {
-      input.value = this.formatClock(this.timer.elapsedTime);
+      input.value = this.formatClock(this.getElapsedMs());
       this.showError("Invalid time format. Use HH:MM:SS or MM:SS.");
       return;
     }
 
-    this.timer.elapsedTime = manualMs;
-    if (this.timer.isRunning) {
-      this.timer.startTime = Date.now() - this.timer.elapsedTime;
-    }
-
-    this.updateTimerDisplay();
-    this.updateTimerButtons();
-    this.saveTimerState();
+    if (Math.abs(manualMs - this.getElapsedMs()) < 1000) return;
+    this.sendTimerAction("setTimer", { elapsedMs: manualMs });
   }
 
   getFormattedTime() {
-    const totalSeconds = Math.floor(this.timer.elapsedTime / 1000);
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
-
-    if (hours > 0) return `${hours}h ${minutes}m ${seconds}s`;
-    if (minutes > 0) return `${minutes}m ${seconds}s`;
-    return `${seconds}s`;
+    return NotionSync.formatDuration(this.getElapsedMs());
   }
 
-  async saveTimerState() {
-    try {
-      const tabs = await chrome.tabs.query({
-        active: true,
-        currentWindow: true,
-      });
-      const activeTabUrl = tabs[0]?.url || null;
-      await chrome.storage.local.set({
-        timerState: {
-          elapsedTime: this.timer.elapsedTime,
-          isRunning: this.timer.isRunning,
-          startTime: this.timer.startTime,
-          url: activeTabUrl,
-        },
-      });
-    } catch (error) {
-      console.warn("Failed to save timer state:", error);
+  async loadTimerState() {
+    const tabs = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    this.timer.slug = ProblemTimers.slugFromUrl(tabs[0]?.url);
+
+    if (!this.timer.slug) {
+      this.applyTimerState(null);
+      return;
     }
-  }
 
-  async loadTimerState() {
-    const result = await chrome.storage.local.get("timerState");
-    if (result.timerState) {
-      const state = result.timerState;
-      const tabs = await chrome.tabs.query({
-        active: true,
-        currentWindow: true,
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getTimer",
+        slug: this.timer.slug,
       });
-
-      if (tabs[0] && state.url === tabs[0].url) {
-        this.timer.elapsedTime = state.elapsedTime || 0;
-        if (state.isRunning) {
-          this.startTimer();
-        } else {
-          this.updateTimerDisplay();
-        }
-      }
+      this.applyTimerState(response?.timer);
+    } catch (error) {
+      console.warn("Failed to load timer state:", error);
+      this.applyTimerState(null);
     }
-    this.updateTimerButtons();
   }
 
   // ============================================================================
@@ -294,8 +344,11 @@ class LeetCodeNotionApp {
 
       if (response?.success) {
         this.problemData = response.data;
+        this.selectLanguage(this.problemData.codeLanguage);
+        await this.restoreDraft();
         this.displayProblemData();
         this.showProblemSection();
+        await this.routeProfile();
 
         // Check for duplicates
         await this.checkForDuplicate();
@@ -317,25 +370,43 @@ class LeetCodeNotionApp {
       const response = await chrome.tabs.sendMessage(tabId, {
         action: "extractProblemData",
         includeCode: true,
-        language: "python",
       });
       return response;
     } catch (error) {
       // Content script not loaded, inject it
       await chrome.scripting.executeScript({
         target: { tabId },
-        files: ["content.js"],
+        files: ["languages.js", "leetcode-api.js", "content.js"],
       });
 
       const response = await chrome.tabs.sendMessage(tabId, {
         action: "extractProblemData",
         includeCode: true,
-        language: "python",
       });
       return response;
     }
   }
 
+  renderLanguageOptions() {
+    const select = document.getElementById("language");
+    select.innerHTML = "";
+    for (const language of LEETCODE_LANGUAGES) {
+      const option = document.createElement("option");
+      option.value = language.slug;
+      option.textContent = language.label;
+      select.appendChild(option);
+    }
+    select.value = "python3";
+  }
+
+  /**
+   * Preselect the language detected in LeetCode's editor
+   */
+  selectLanguage(value) {
+    const slug = Languages.normalize(value);
+    if (slug) document.getElementById("language").value = slug;
+  }
+
   displayProblemData() {
     if (!this.problemData) return;
 
@@ -368,11 +439,15 @@ class LeetCodeNotionApp {
 
   /**
    * Check if this problem already exists in Notion
-   * Strategy: Problem number first, fallback to slug
+   * Strategy: cache by problem key (number, or slug without one), then
+   * NotionSync's fallback chain: number, URL, title link, title text
    */
   async checkForDuplicate() {
-    if (!this.problemData.number) {
-      console.warn("No problem number found - skipping duplicate check");
+    const problemKey = NotionSync.problemKey(this.problemData);
+    if (!problemKey) {
+      console.warn(
+        "No problem number or slug found - skipping duplicate check",
+      );
       this.showAlreadySavedBadge(false);
       return;
     }
@@ -384,43 +459,35 @@ class LeetCodeNotionApp {
 
     try {
       // Step 1: Check cache (fast path)
-      const cached = await this.getCachedPage(this.problemData.number);
+      const sync = this.getSync(settings);
+      const cached = await sync.getCachedPage(problemKey);
       if (cached) {
-        console.log(`Cache hit for problem #${this.problemData.number}`);
+        console.log(`Cache hit for problem ${problemKey}`);
         this.notionPageId = cached.pageId;
         this.notionPageUrl = cached.url;
         this.showAlreadySavedBadge(true);
         this.showNotionLinks();
 
         // Validate cache in background (non-blocking)
-        this.validateCacheInBackground(
-          this.problemData.number,
-          cached.pageId,
-          settings,
-        );
+        this.validateCacheInBackground(problemKey, cached.pageId, sync);
         return;
       }
 
-      // Step 2: Query Notion (slow path but still fast - 300ms)
-      console.log(
-        `Cache miss for problem #${this.problemData.number} - querying Notion`,
-      );
-      const page = await this.findPageInNotion(
-        this.problemData.number,
-        settings,
-      );
+      // Step 2: Query Notion (slow path - one query per fallback step)
+      console.log(`Cache miss for problem ${problemKey} - querying Notion`);
+      const page = await sync.findPageInNotion(this.problemData);
 
       if (page) {
-        console.log(`Found in Notion: problem #${this.problemData.number}`);
+        console.log(`Found in Notion: problem ${problemKey}`);
         this.notionPageId = page.id;
         this.notionPageUrl = page.url;
         this.showAlreadySavedBadge(true);
         this.showNotionLinks();
 
         // Cache the result
-        await this.cachePage(this.problemData.number, page.id, page.url);
+        await sync.cachePage(problemKey, page.id, page.url);
       } else {
-        console.log(`Not found in Notion: problem #${this.problemData.number}`);
+        console.log(`Not found in Notion: problem ${problemKey}`);
         this.showAlreadySavedBadge(false);
       }
     } catch (error) {
@@ -430,51 +497,15 @@ class LeetCodeNotionApp {
     }
   }
 
-  /**
-   * Get cached page by problem number
-   * Returns null if not found or expired
-   */
-  async getCachedPage(problemNumber) {
-    const key = `problem_${problemNumber}`;
-    const result = await chrome.storage.local.get(key);
-    const cached = result[key];
-
-    if (!cached) return null;
-
-    // Check if expired
-    const age = Date.now() - (cached.timestamp || 0);
-    if (age > CACHE_TTL) {
-      console.log(`Cache expired for problem #${problemNumber}`);
-      await chrome.storage.local.remove(key);
-      return null;
-    }
-
-    return cached;
-  }
-
-  /**
-   * Cache a page by problem number
-   */
-  async cachePage(problemNumber, pageId, url) {
-    const key = `problem_${problemNumber}`;
-    await chrome.storage.local.set({
-      [key]: {
-        pageId,
-        url,
-        timestamp: Date.now(),
-      },
-    });
-  }
-
   /**
    * Validate cache in background (non-blocking)
    * If page no longer exists, clear cache and update UI
    */
-  async validateCacheInBackground(problemNumber, pageId, settings) {
+  async validateCacheInBackground(problemKey, pageId, sync) {
     try {
-      const exists = await this.checkPageExists(pageId, settings);
+      const exists = await sync.checkPageExists(pageId);
       if (!exists) {
-        await chrome.storage.local.remove(`problem_${problemNumber}`);
+        await sync.clearCachedPage(problemKey);
 
         // Update UI
         this.notionPageId = null;
@@ -487,123 +518,6 @@ class LeetCodeNotionApp {
     }
   }
 
-  /**
-   * Check if a Notion page exists
-   */
-  async checkPageExists(pageId, settings) {
-    try {
-      const response = await fetch(
-        `https://api.notion.com/v1/pages/${pageId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${settings.notionToken}`,
-            "Notion-Version": "2022-06-28",
-          },
-        },
-      );
-
-      if (response.status === 404) return false;
-      if (!response.ok) return false;
-
-      const page = await response.json();
-      return !page.archived && !page.in_trash;
-    } catch (error) {
-      return false;
-    }
-  }
-
-  /**
-   * Find page in Notion by problem number
-   * This is THE primary duplicate detection method
-   */
-  async findPageInNotion(problemNumber, settings) {
-    try {
-      // Get database schema
-      const dbResponse = await fetch(
-        `https://api.notion.com/v1/databases/${settings.databaseId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${settings.notionToken}`,
-            "Notion-Version": "2022-06-28",
-          },
-        },
-      );
-
-      if (!dbResponse.ok) return null;
-
-      const db = await dbResponse.json();
-      const dbProperties = db.properties || {};
-
-      // Find the Number property
-      const numberProp = this.findProperty(
-        dbProperties,
-        ["Number", "Problem Number", "ID", "#", "编号"],
-        ["number"],
-      );
-
-      if (!numberProp) {
-        console.warn(
-          "No Number property found - cannot detect duplicates reliably",
-        );
-        return null;
-      }
-
-      // Query by problem number (SINGLE API CALL)
-      const queryResponse = await fetch(
-        `https://api.notion.com/v1/databases/${settings.databaseId}/query`,
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${settings.notionToken}`,
-            "Notion-Version": "2022-06-28",
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            filter: {
-              property: numberProp.name,
-              number: { equals: problemNumber },
-            },
-            page_size: 1,
-          }),
-        },
-      );
-
-      if (!queryResponse.ok) return null;
-
-      const data = await queryResponse.json();
-      const page = data.results?.[0];
-
-      if (page && !page.archived && !page.in_trash) {
-        return page;
-      }
-
-      return null;
-    } catch (error) {
-      console.error("Error finding page in Notion:", error);
-      return null;
-    }
-  }
-
-  /**
-   * Helper: Find a property by aliases
-   */
-  findProperty(properties, aliases, allowedTypes = []) {
-    for (const [name, config] of Object.entries(properties)) {
-      const isMatch = aliases.some(
-        (alias) =>
-          name.toLowerCase() === alias.toLowerCase() ||
-          name.toLowerCase().includes(alias.toLowerCase()),
-      );
-      if (
-        isMatch &&
-        (allowedTypes.length === 0 || allowedTypes.includes(config.type))
-      ) {
-        return { name, type: config.type };
-      }
-    }
-    return null;
-  }
-
   // ============================================================================
   // SAVE TO NOTION
   // ============================================================================
@@ -624,340 +538,215 @@ class LeetCodeNotionApp {
       return;
     }
 
-    // If page already exists, update editable fields instead of blocking save
-    if (this.notionPageId) {
-      this.showLoading(true);
-      try {
-        const data = this.prepareNotionData();
-        await this.updateExistingPage(this.notionPageId, data, settings);
-        this.showSuccess("Updated existing problem (Hint/Redo)");
-        this.showAlreadySavedBadge(true);
-        this.showNotionLinks();
-      } catch (error) {
-        console.error("Error updating existing Notion page:", error);
-        this.showError(error.message || "Failed to update existing problem");
-      } finally {
-        this.showLoading(false);
-      }
-      return;
-    }
-
     this.showLoading(true);
+    const data = this.prepareNotionData(settings);
+
+    // The quick-save shortcut reuses the last status and language
+    await chrome.storage.local.set({
+      saveDefaults: { status: data.status, language: data.language },
+    });
 
     try {
-      const data = this.prepareNotionData();
-      const notionPage = await this.sendToNotion(data, settings);
-
-      // Cache the result
-      if (this.problemData.number) {
-        await this.cachePage(
-          this.problemData.number,
-          notionPage.id,
-          notionPage.url,
-        );
+      if (!navigator.onLine) {
+        await this.queueSave(data, null);
+        return;
       }
 
-      this.notionPageId = notionPage.id;
-      this.notionPageUrl = notionPage.url;
+      // If page already exists, saveRecord updates editable fields instead
+      const { page, created } = await this.getSync(settings).saveRecord(
+        data,
+        this.notionPageId,
+      );
+
+      this.notionPageId = page.id;
+      this.notionPageUrl = page.url;
 
-      this.showSuccess("Successfully saved to Notion!");
+      this.showSuccess(
+        created
+          ? "Successfully saved to Notion!"
+          : "Logged a new attempt on the existing page",
+      );
       this.showAlreadySavedBadge(true);
       this.showNotionLinks();
+      await ProblemDrafts.clear(this.problemData);
 
-      // Reset timer after successful save
+      // Reset timer after every successful save: each one is logged as an
+      // attempt with its own time spent
       setTimeout(() => this.resetTimer(), 1000);
     } catch (error) {
       console.error("Error saving to Notion:", error);
-      this.showError(error.message || "Failed to save to Notion");
+      await this.queueSave(data, error);
     } finally {
       this.showLoading(false);
     }
   }
 
-  prepareNotionData() {
-    const status = document.getElementById("status").value;
-    const notes = document.getElementById("notes").value;
-    const language = document.getElementById("language")?.value || "python";
-    const neededHint = document.getElementById("neededHint").checked;
-    const canRedo = document.getElementById("canRedo").checked;
-
-    // Format problem name with number
-    let problemName = this.problemData.title;
-    if (this.problemData.number && !problemName.match(/^\d+\./)) {
-      problemName = `${this.problemData.number}. ${problemName}`;
-    }
-
-    // Normalize URL to leetcode.cn
-    let problemUrl = this.problemData.url
-      .replace("/description/", "/")
-      .replace("/description", "")
-      .replace(/\/$/, "");
-
-    if (problemUrl.includes("leetcode.com")) {
-      problemUrl = problemUrl.replace("leetcode.com", "leetcode.cn");
+  /**
+   * Keep a failed or offline save in the queue so it survives the popup
+   * closing. Transient failures are replayed by the background worker.
+   */
+  async queueSave(data, error) {
+    try {
+      const item = await SaveQueue.enqueue(data, error);
+      // The queued save carries the form values now
+      await ProblemDrafts.clear(this.problemData);
+      if (!error) {
+        this.showStatus(
+          "You are offline. Saved to the queue - it will sync automatically.",
+          "info",
+        );
+      } else if (item.status === "pending") {
+        this.showError(
+          `${error.message}\n\nSaved to the queue - it will retry automatically.`,
+        );
+      } else {
+        this.showError(
+          `${error.message}\n\nKept in the queue below - retry after fixing it.`,
+        );
+      }
+    } catch (queueError) {
+      console.error("Error queueing save:", queueError);
+      this.showError(error?.message || "Failed to save to Notion");
     }
-
-    return {
-      ...this.problemData,
-      problemName,
-      url: problemUrl,
-      status,
-      notes,
-      language,
-      neededHint,
-      canRedo,
-      timeSpent: this.getFormattedTime(),
-      timeSpentMinutes: Math.floor(this.timer.elapsedTime / 60000),
-      dateCompleted: new Date().toISOString(),
-    };
   }
 
-  async sendToNotion(data, settings) {
-    // Get database schema
-    const dbResponse = await fetch(
-      `https://api.notion.com/v1/databases/${settings.databaseId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${settings.notionToken}`,
-          "Notion-Version": "2022-06-28",
-        },
-      },
-    );
-
-    if (!dbResponse.ok) {
-      const error = await dbResponse.json();
-      throw new Error(error.message || "Failed to fetch database schema");
-    }
-
-    const db = await dbResponse.json();
-    const properties = this.buildNotionProperties(data, db.properties || {});
-    const children = this.buildNotionChildren(data);
-
-    // Create page
-    const response = await fetch("https://api.notion.com/v1/pages", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${settings.notionToken}`,
-        "Content-Type": "application/json",
-        "Notion-Version": "2022-06-28",
-      },
-      body: JSON.stringify({
-        parent: { database_id: settings.databaseId },
-        properties,
-        ...(children.length > 0 ? { children } : {}),
-      }),
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || "Failed to create Notion page");
-    }
-
-    return await response.json();
+  getSync(settings) {
+    return new NotionSync(settings);
   }
 
-  async updateExistingPage(pageId, data, settings) {
-    const dbResponse = await fetch(
-      `https://api.notion.com/v1/databases/${settings.databaseId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${settings.notionToken}`,
-          "Notion-Version": "2022-06-28",
-        },
-      },
+  prepareNotionData(settings) {
+    const record = NotionSync.buildRecord(
+      this.problemData,
+      { ...this.getFormValues(), ...this.getTimerTimes() },
+      settings,
     );
+    return { ...record, profileId: this.profileId };
+  }
 
-    if (!dbResponse.ok) {
-      const error = await dbResponse.json();
-      throw new Error(error.message || "Failed to fetch database schema");
-    }
-
-    const db = await dbResponse.json();
-    const properties = this.buildCheckboxUpdateProperties(data, db.properties);
-
-    if (Object.keys(properties).length === 0) {
-      throw new Error('No "Needed Hint" / "Can Redo" checkbox properties found');
-    }
+  getFormValues() {
+    return {
+      status: document.getElementById("status").value,
+      notes: document.getElementById("notes").value,
+      language: document.getElementById("language")?.value || "python3",
+      neededHint: document.getElementById("neededHint").checked,
+      canRedo: document.getElementById("canRedo").checked,
+    };
+  }
 
-    const response = await fetch(`https://api.notion.com/v1/pages/${pageId}`, {
-      method: "PATCH",
-      headers: {
-        Authorization: `Bearer ${settings.notionToken}`,
-        "Content-Type": "application/json",
-        "Notion-Version": "2022-06-28",
-      },
-      body: JSON.stringify({ properties }),
-    });
+  // ============================================================================
+  // DRAFTS
+  // ============================================================================
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || "Failed to update Notion page");
+  /**
+   * Written on every edit (not debounced) - the popup can close at any
+   * moment and would drop a pending write
+   */
+  async saveDraft() {
+    if (!this.problemData) return;
+    try {
+      await ProblemDrafts.save(this.problemData, this.getFormValues());
+    } catch (error) {
+      console.warn("Failed to save draft:", error);
     }
-
-    return await response.json();
   }
 
-  buildCheckboxUpdateProperties(data, dbProperties = {}) {
-    const properties = {};
-    const checkboxFields = [
-      {
-        aliases: ["Needed Hint", "需要提示", "Hint", "Did I need a hint?"],
-        value: data.neededHint,
-      },
-      {
-        aliases: ["Can Redo", "可以重做", "Redo", "Could I redo it in a week"],
-        value: data.canRedo,
-      },
-    ];
-
-    for (const field of checkboxFields) {
-      const prop = this.findProperty(dbProperties, field.aliases, ["checkbox"]);
-      if (prop) {
-        properties[prop.name] = { checkbox: Boolean(field.value) };
+  /**
+   * Put this problem's draft back in the form. Without one the form keeps
+   * its current values.
+   */
+  async restoreDraft() {
+    const draft = await ProblemDrafts.get(this.problemData).catch(() => null);
+    if (!draft) return;
+
+    for (const id of DRAFT_FIELDS) {
+      const field = document.getElementById(id);
+      if (!(id in draft)) continue;
+      if (field.type === "checkbox") {
+        field.checked = Boolean(draft[id]);
+      } else if (id !== "language" || Languages.normalize(draft[id])) {
+        field.value = draft[id];
       }
     }
-
-    return properties;
   }
 
-  buildNotionProperties(data, dbProperties) {
-    const properties = {};
-
-    // Title property (required)
-    const titleProp =
-      this.findProperty(
-        dbProperties,
-        ["Problem Name", "Name", "Title"],
-        ["title"],
-      ) ||
-      Object.entries(dbProperties)
-        .map(([name, config]) => ({ name, type: config.type }))
-        .find((prop) => prop.type === "title");
-
-    if (!titleProp) {
-      throw new Error("No title property found in database");
-    }
-
-    properties[titleProp.name] = {
-      title: [
-        {
-          text: {
-            content: data.problemName,
-            link: { url: data.url },
-          },
-        },
-      ],
-    };
-
-    // Number property
-    const numberProp = this.findProperty(
-      dbProperties,
-      ["Number", "Problem Number", "ID", "#", "编号"],
-      ["number"],
-    );
-    if (numberProp && data.number) {
-      properties[numberProp.name] = { number: data.number };
-    }
-
-    // Other properties
-    const fieldConfigs = [
-      {
-        aliases: ["Difficulty", "难度"],
-        types: ["select"],
-        value: data.difficulty,
-      },
-      { aliases: ["Status", "状态"], types: ["select"], value: data.status },
-      { aliases: ["URL", "Link", "链接"], types: ["url"], value: data.url },
-      {
-        aliases: ["Time Spent", "耗时"],
-        types: ["rich_text"],
-        value: data.timeSpent,
-      },
-      {
-        aliases: ["Date Completed", "完成日期"],
-        types: ["date"],
-        value: data.dateCompleted,
-      },
-      { aliases: ["Notes", "备注"], types: ["rich_text"], value: data.notes },
-      {
-        aliases: ["Language", "语言"],
-        types: ["select"],
-        value: data.language,
-      },
-    ];
-
-    // Add checkbox fields
-    fieldConfigs.push(
-      {
-        aliases: ["Needed Hint", "需要提示", "Hint", "Did I need a hint?"],
-        types: ["checkbox"],
-        value: data.neededHint,
-      },
-      {
-        aliases: ["Can Redo", "可以重做", "Redo", "Could I redo it in a week"],
-        types: ["checkbox"],
-        value: data.canRedo,
-      },
-    );
+  // ============================================================================
+  // SAVE QUEUE
+  // ============================================================================
 
-    for (const field of fieldConfigs) {
-      const prop = this.findProperty(dbProperties, field.aliases, field.types);
-      if (prop) {
-        // For checkboxes, send even if false; for others, skip if empty
-        if (prop.type === "checkbox" || field.value) {
-          properties[prop.name] = this.buildPropertyValue(
-            prop.type,
-            field.value,
-          );
-        }
+  async renderQueue() {
+    const items = await SaveQueue.list();
+    const section = document.getElementById("queueSection");
+    const list = document.getElementById("queueList");
+
+    section.classList.toggle("hidden", items.length === 0);
+    document.getElementById("queueCount").textContent = items.length;
+    list.innerHTML = "";
+
+    items.forEach((item) => {
+      const itemEl = document.createElement("li");
+      itemEl.className = `queue-item ${item.status}`;
+      itemEl.dataset.id = item.id;
+
+      const info = document.createElement("div");
+      info.className = "queue-info";
+      const title = document.createElement("span");
+      title.className = "queue-title";
+      title.textContent = item.data?.problemName || "Untitled problem";
+      const state = document.createElement("span");
+      state.className = "queue-state";
+      state.textContent = item.status === "failed" ? "Failed" : "Pending";
+      info.append(title, state);
+      itemEl.appendChild(info);
+
+      if (item.lastError) {
+        const errorEl = document.createElement("div");
+        errorEl.className = "queue-error";
+        errorEl.textContent = item.lastError;
+        itemEl.appendChild(errorEl);
       }
-    }
-
-    // Tags
-    const tagsProp = this.findProperty(
-      dbProperties,
-      ["Tags", "Topics", "æ ‡ç­¾"],
-      ["multi_select"],
-    );
-    if (tagsProp && data.tags?.length > 0) {
-      properties[tagsProp.name] = {
-        multi_select: data.tags.map((tag) => ({ name: tag })),
-      };
-    }
 
-    return properties;
-  }
+      const actions = document.createElement("div");
+      actions.className = "queue-actions";
+      [
+        ["retry", "Retry"],
+        ["discard", "Discard"],
+      ].forEach(([action, label]) => {
+        const button = document.createElement("button");
+        button.className = "link";
+        button.dataset.action = action;
+        button.textContent = label;
+        actions.appendChild(button);
+      });
+      itemEl.appendChild(actions);
 
-  buildPropertyValue(type, value) {
-    if (type === "rich_text")
-      return { rich_text: [{ text: { content: String(value) } }] };
-    if (type === "url") return { url: String(value) };
-    if (type === "number") return { number: Number(value) };
-    if (type === "select") return { select: { name: String(value) } };
-    if (type === "date") return { date: { start: String(value) } };
-    if (type === "checkbox") return { checkbox: Boolean(value) };
-    return null;
+      list.appendChild(itemEl);
+    });
   }
 
-  buildNotionChildren(data) {
-    if (!data.code) return [];
+  async handleQueueAction(event) {
+    const button = event.target.closest("button[data-action]");
+    const itemEl = button?.closest(".queue-item");
+    if (!button || !itemEl) return;
 
-    const chunks = [];
-    const code = data.code;
-    for (let i = 0; i < code.length; i += 2000) {
-      chunks.push(code.slice(i, i + 2000));
+    const id = itemEl.dataset.id;
+    if (button.dataset.action === "discard") {
+      if (!confirm("Discard this unsynced record? It cannot be recovered.")) {
+        return;
+      }
+      await SaveQueue.remove(id);
+      return;
     }
 
-    return [
-      {
-        object: "block",
-        type: "code",
-        code: {
-          rich_text: chunks.map((chunk) => ({ text: { content: chunk } })),
-          language: data.codeLanguage || "python",
-        },
-      },
-    ];
+    await SaveQueue.retry(id);
+    try {
+      await chrome.runtime.sendMessage({ action: "processSaveQueue" });
+      const remaining = await SaveQueue.list();
+      if (!remaining.some((item) => item.id === id)) {
+        this.showSuccess("Queued record synced to Notion!");
+      }
+    } catch (error) {
+      console.warn("Could not reach background worker:", error);
+    }
   }
 
   // ============================================================================
@@ -1026,11 +815,129 @@ class LeetCodeNotionApp {
   }
 
   async loadSettings() {
-    const result = await chrome.storage.local.get([
-      "notionToken",
-      "databaseId",
+    return await NotionSync.loadSettings(this.profileId);
+  }
+
+  // ============================================================================
+  // SIDE PANEL
+  // ============================================================================
+
+  openSidePanel() {
+    // Called straight from the click so Chrome sees a user gesture
+    chrome.sidePanel
+      .open({ windowId: this.windowId })
+      .then(() => window.close())
+      .catch((error) =>
+        this.showError(`Could not open the side panel: ${error.message}`),
+      );
+  }
+
+  /**
+   * Reload problem data, duplicate status and timer when this window's
+   * active tab moves to another problem. Status, notes and checkboxes are
+   * left as they are unless that problem has a draft.
+   */
+  followActiveTab() {
+    this.activeSlug = this.timer.slug;
+    const reload = () => {
+      // One reload at a time so the last tab switch wins
+      this.reloading = this.reloading
+        .then(() => this.reloadForActiveTab())
+        .catch((error) => console.warn("Failed to follow tab:", error));
+    };
+
+    chrome.tabs.onActivated.addListener((activeInfo) => {
+      if (activeInfo.windowId === this.windowId) reload();
+    });
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (!tab.active || tab.windowId !== this.windowId) return;
+      // Retry once the page has loaded if extraction failed mid-navigation
+      if (
+        changeInfo.url ||
+        (changeInfo.status === "complete" && !this.problemData)
+      ) {
+        reload();
+      }
+    });
+  }
+
+  async reloadForActiveTab() {
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    const slug = ProblemTimers.slugFromUrl(tab?.url);
+    if (slug === this.activeSlug && (this.problemData || !slug)) return;
+    this.activeSlug = slug;
+
+    this.resetProblem();
+    await this.loadTimerState();
+    await this.checkLeetCodePage();
+  }
+
+  resetProblem() {
+    this.problemData = null;
+    this.notionPageId = null;
+    this.notionPageUrl = null;
+    this.showAlreadySavedBadge(false);
+    document.getElementById("notionLinks").classList.add("hidden");
+    document.getElementById("statusMessage").classList.add("hidden");
+
+    const titleEl = document.getElementById("problemTitle");
+    titleEl.textContent = "Open a LeetCode problem";
+    titleEl.classList.add("muted");
+    const difficultyBadge = document.getElementById("problemDifficulty");
+    difficultyBadge.textContent = "-";
+    difficultyBadge.className = "diff muted";
+    document.getElementById("tagsContainer").innerHTML = "";
+  }
+
+  // ============================================================================
+  // PROFILES
+  // ============================================================================
+
+  async renderProfiles() {
+    const [profiles, activeId] = await Promise.all([
+      Profiles.list(),
+      Profiles.getActiveId(),
     ]);
-    return result;
+    this.profileId = this.profileId || activeId;
+
+    const select = document.getElementById("profileSelect");
+    select.innerHTML = "";
+    for (const profile of profiles) {
+      select.add(new Option(`📒 ${profile.name}`, profile.id));
+    }
+    select.value = this.profileId;
+    select.classList.toggle("hidden", profiles.length < 2);
+  }
+
+  /**
+   * Pick the profile for the current problem from the routing rules
+   */
+  async routeProfile() {
+    const { profileId, rule } = await Profiles.route(this.problemData);
+    this.profileId = profileId;
+    const select = document.getElementById("profileSelect");
+    select.value = profileId;
+    select.title = rule
+      ? `Chosen by rule: ${rule.field} is "${rule.value}"`
+      : "Active profile";
+  }
+
+  /**
+   * Manual switch: becomes the active profile and re-runs the duplicate check
+   */
+  async switchProfile(profileId) {
+    this.profileId = profileId;
+    await Profiles.setActive(profileId);
+    document.getElementById("profileSelect").title = "Active profile";
+
+    this.notionPageId = null;
+    this.notionPageUrl = null;
+    this.showAlreadySavedBadge(false);
+    document.getElementById("notionLinks").classList.add("hidden");
+    if (this.problemData) await this.checkForDuplicate();
   }
 }
 
@@ -0,0 +1,196 @@
+// profiles.js - Named Notion destinations and the rules that pick one
+
+const PROFILES_KEY = "profiles";
+const ACTIVE_PROFILE_KEY = "activeProfileId";
+const ROUTING_RULES_KEY = "routingRules";
+const DEFAULT_PROFILE_ID = "default";
+// Per-profile copy of the database kept by the dashboard
+const DASHBOARD_CACHE_PREFIX = "dashboard_";
+const ROUTING_FIELDS = ["domain", "difficulty", "tag"];
+
+// Single-destination settings from before profiles existed
+const LEGACY_PROFILE_KEYS = ["notionToken", "databaseId", "propertyMapping"];
+
+/**
+ * A profile is one Notion destination:
+ *   { id, name, notionToken, databaseId, propertyMapping }
+ * Routing rules pick a profile for a problem, first match wins:
+ *   { field: "domain" | "difficulty" | "tag", value, profileId }
+ * Without a matching rule the active profile is used.
+ */
+class Profiles {
+  static async list() {
+    const result = await chrome.storage.local.get([
+      PROFILES_KEY,
+      ...LEGACY_PROFILE_KEYS,
+    ]);
+    const profiles = result[PROFILES_KEY];
+    if (Array.isArray(profiles) && profiles.length > 0) return profiles;
+
+    return [
+      {
+        id: DEFAULT_PROFILE_ID,
+        name: "Default",
+        notionToken: result.notionToken || "",
+        databaseId: result.databaseId || "",
+        propertyMapping: result.propertyMapping || {},
+      },
+    ];
+  }
+
+  /**
+   * Writing the list also retires the legacy top-level keys
+   */
+  static async write(profiles) {
+    await chrome.storage.local.set({ [PROFILES_KEY]: profiles });
+    await chrome.storage.local.remove(LEGACY_PROFILE_KEYS);
+  }
+
+  static async get(id) {
+    const profiles = await Profiles.list();
+    return profiles.find((profile) => profile.id === id) || null;
+  }
+
+  static async getActiveId() {
+    const [profiles, result] = await Promise.all([
+      Profiles.list(),
+      chrome.storage.local.get(ACTIVE_PROFILE_KEY),
+    ]);
+    const activeId = result[ACTIVE_PROFILE_KEY];
+    return profiles.some((profile) => profile.id === activeId)
+      ? activeId
+      : profiles[0].id;
+  }
+
+  static async setActive(id) {
+    await chrome.storage.local.set({ [ACTIVE_PROFILE_KEY]: id });
+  }
+
+  static async create(name) {
+    const profiles = await Profiles.list();
+    const profile = {
+      id: `profile_${Date.now().toString(36)}`,
+      name: name.trim() || `Profile ${profiles.length + 1}`,
+      notionToken: "",
+      databaseId: "",
+      propertyMapping: {},
+    };
+    await Profiles.write([...profiles, profile]);
+    return profile;
+  }
+
+  static async update(id, changes) {
+    const profiles = await Profiles.list();
+    const index = profiles.findIndex((profile) => profile.id === id);
+    if (index === -1) throw new Error("Profile not found");
+
+    profiles[index] = { ...profiles[index], ...changes, id };
+    await Profiles.write(profiles);
+    return profiles[index];
+  }
+
+  /**
+   * Remove a profile and the rules that route to it (the last profile stays)
+   */
+  static async remove(id) {
+    const profiles = await Profiles.list();
+    if (profiles.length <= 1) {
+      throw new Error("At least one profile is required");
+    }
+
+    await Profiles.write(profiles.filter((profile) => profile.id !== id));
+    const rules = await Profiles.getRules();
+    await Profiles.saveRules(rules.filter((rule) => rule.profileId !== id));
+
+    // Cached pages and the dashboard's copy of the database
+    const cacheKeys = Object.keys(await chrome.storage.local.get(null)).filter(
+      (key) =>
+        key.startsWith(`problem_${id}_`) ||
+        key === `${DASHBOARD_CACHE_PREFIX}${id}`,
+    );
+    await chrome.storage.local.remove(cacheKeys);
+  }
+
+  static async getRules() {
+    const result = await chrome.storage.local.get(ROUTING_RULES_KEY);
+    return Array.isArray(result[ROUTING_RULES_KEY])
+      ? result[ROUTING_RULES_KEY]
+      : [];
+  }
+
+  static async saveRules(rules) {
+    await chrome.storage.local.set({
+      [ROUTING_RULES_KEY]: rules.filter(
+        (rule) =>
+          ROUTING_FIELDS.includes(rule.field) &&
+          String(rule.value || "").trim() &&
+          rule.profileId,
+      ),
+    });
+  }
+
+  static matches(rule, problemData) {
+    const value = String(rule.value || "")
+      .trim()
+      .toLowerCase();
+    if (!value || !problemData) return false;
+
+    if (rule.field === "domain") {
+      let host = problemData.domain || "";
+      try {
+        host = host || new URL(problemData.url).hostname;
+      } catch (error) {
+        host = "";
+      }
+      return host.toLowerCase().replace(/^www\./, "") === value;
+    }
+    if (rule.field === "difficulty") {
+      return String(problemData.difficulty || "").toLowerCase() === value;
+    }
+    if (rule.field === "tag") {
+      return (problemData.tags || []).some(
+        (tag) => String(tag).toLowerCase() === value,
+      );
+    }
+    return false;
+  }
+
+  /**
+   * Profile for a problem: { profileId, rule } (rule is null when the
+   * active profile was used)
+   */
+  static async route(problemData) {
+    const [profiles, rules, activeId] = await Promise.all([
+      Profiles.list(),
+      Profiles.getRules(),
+      Profiles.getActiveId(),
+    ]);
+
+    const rule = rules.find(
+      (candidate) =>
+        profiles.some((profile) => profile.id === candidate.profileId) &&
+        Profiles.matches(candidate, problemData),
+    );
+    return { profileId: rule ? rule.profileId : activeId, rule: rule || null };
+  }
+
+  /**
+   * Cached pages from before profiles (problem_<number>) belong to the
+   * default profile
+   */
+  static async migrateLegacyCache() {
+    const stored = await chrome.storage.local.get(null);
+    const legacyKeys = Object.keys(stored).filter((key) =>
+      /^problem_\d+$/.test(key),
+    );
+    if (legacyKeys.length === 0) return;
+
+    const moved = {};
+    for (const key of legacyKeys) {
+      const number = key.slice("problem_".length);
+      moved[`problem_${DEFAULT_PROFILE_ID}_${number}`] = stored[key];
+    }
+    await chrome.storage.local.set(moved);
+    await chrome.storage.local.remove(legacyKeys);
+  }
+}
@@ -0,0 +1,101 @@
+// review-scheduler.js - Spaced-repetition "Next Review" dates
+
+const DEFAULT_REVIEW_INTERVALS = [1, 3, 7, 14, 30, 60, 120]; // days
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Interval ladder scheduler.
+ *
+ * Each save moves the problem along the ladder based on how it went:
+ * - "Review" status or needed a hint -> back to the first step
+ * - could not redo it in a week       -> repeat the current step
+ * - "Solved"                          -> one step up
+ * - "Mastered"                        -> two steps up
+ *
+ * The current step is recovered from the previous interval stored on the
+ * Notion page, so the schedule follows the problem across devices.
+ */
+class ReviewScheduler {
+  constructor(intervals) {
+    this.intervals = ReviewScheduler.normalizeIntervals(intervals);
+  }
+
+  /**
+   * "1, 3, 7" -> [1, 3, 7]; returns null if nothing valid was entered
+   */
+  static parseIntervals(text) {
+    const days = String(text || "")
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map(Number);
+    if (days.length === 0) return null;
+    if (days.some((day) => !Number.isInteger(day) || day <= 0)) return null;
+    return ReviewScheduler.normalizeIntervals(days);
+  }
+
+  static normalizeIntervals(intervals) {
+    if (!Array.isArray(intervals)) return [...DEFAULT_REVIEW_INTERVALS];
+    const days = [
+      ...new Set(intervals.filter((day) => Number.isInteger(day) && day > 0)),
+    ].sort((a, b) => a - b);
+    return days.length > 0 ? days : [...DEFAULT_REVIEW_INTERVALS];
+  }
+
+  /**
+   * attempt: { status, neededHint, canRedo }
+   * previous: { reviewCount, intervalDays } from the saved page, or null
+   * Returns { nextReview: "YYYY-MM-DD", reviewCount, reviewInterval }
+   */
+  schedule(attempt, previous = null, now = new Date()) {
+    const previousStep = this.stepFor(previous?.intervalDays);
+    const lastStep = this.intervals.length - 1;
+
+    let step;
+    if (attempt.status === "Review" || attempt.neededHint) {
+      step = 0;
+    } else if (!attempt.canRedo) {
+      step = Math.max(previousStep, 0);
+    } else if (attempt.status === "Mastered") {
+      step = previousStep + 2;
+    } else {
+      step = previousStep + 1;
+    }
+    step = Math.min(Math.max(step, 0), lastStep);
+
+    const reviewInterval = this.intervals[step];
+    return {
+      nextReview: ReviewScheduler.formatDate(
+        new Date(now.getTime() + reviewInterval * DAY_MS),
+      ),
+      reviewCount: previous ? (previous.reviewCount || 0) + 1 : 0,
+      reviewInterval,
+    };
+  }
+
+  /**
+   * Index of the largest ladder interval not above `intervalDays` (-1 if none)
+   */
+  stepFor(intervalDays) {
+    if (!Number.isFinite(intervalDays)) return -1;
+    let step = -1;
+    this.intervals.forEach((days, index) => {
+      if (days <= intervalDays) step = index;
+    });
+    return step;
+  }
+
+  /**
+   * Whole days between two ISO dates (for pages without "Review Interval")
+   */
+  static daysBetween(fromIso, toIso) {
+    const from = new Date(fromIso).getTime();
+    const to = new Date(toIso).getTime();
+    if (!Number.isFinite(from) || !Number.isFinite(to)) return null;
+    return Math.round((to - from) / DAY_MS);
+  }
+
+  static formatDate(date) {
+    const pad = (num) => num.toString().padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
@@ -0,0 +1,99 @@
+// save-queue.js - Durable queue for saves that did not reach Notion
+
+const SAVE_QUEUE_KEY = "saveQueue";
+const SAVE_QUEUE_MAX_ATTEMPTS = 20;
+
+/**
+ * Queue items live in chrome.storage.local so they survive the popup closing:
+ * { id, data, status: "pending" | "failed", attempts, lastError, createdAt }
+ *
+ * "pending" items are replayed by background.js on its keepAlive alarm.
+ * "failed" items (non-transient errors) wait for the user to retry or discard.
+ */
+class SaveQueue {
+  static async list() {
+    const result = await chrome.storage.local.get(SAVE_QUEUE_KEY);
+    return Array.isArray(result[SAVE_QUEUE_KEY]) ? result[SAVE_QUEUE_KEY] : [];
+  }
+
+  static async write(items) {
+    await chrome.storage.local.set({ [SAVE_QUEUE_KEY]: items });
+  }
+
+  /**
+   * Add a record. `error` is null for saves made while offline.
+   */
+  static async enqueue(data, error = null) {
+    const now = Date.now();
+    const item = {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      data,
+      status: !error || error.retryable ? "pending" : "failed",
+      attempts: error ? 1 : 0,
+      lastError: error?.message || null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const items = await this.list();
+    items.push(item);
+    await this.write(items);
+    return item;
+  }
+
+  static async update(id, changes) {
+    const items = await this.list();
+    const index = items.findIndex((item) => item.id === id);
+    if (index === -1) return null;
+
+    items[index] = { ...items[index], ...changes, updatedAt: Date.now() };
+    await this.write(items);
+    return items[index];
+  }
+
+  static async remove(id) {
+    const items = await this.list();
+    await this.write(items.filter((item) => item.id !== id));
+  }
+
+  /**
+   * Move an item back to "pending" so the next replay picks it up.
+   */
+  static async retry(id) {
+    return this.update(id, { status: "pending", attempts: 0 });
+  }
+
+  /**
+   * Replay pending items in order, each to the profile it was saved for.
+   * Stops at the first transient failure, since the rest would most likely
+   * fail the same way.
+   */
+  static async process() {
+    const pending = (await this.list()).filter(
+      (item) => item.status === "pending",
+    );
+    if (pending.length === 0) return;
+
+    for (const item of pending) {
+      const settings = await NotionSync.loadSettings(item.data.profileId);
+      if (!settings.notionToken || !settings.databaseId) continue;
+
+      try {
+        await new NotionSync(settings).saveRecord(item.data);
+        await this.remove(item.id);
+      } catch (error) {
+        const attempts = (item.attempts || 0) + 1;
+        const retryable =
+          error.retryable === true && attempts < SAVE_QUEUE_MAX_ATTEMPTS;
+
+        await this.update(item.id, {
+          status: retryable ? "pending" : "failed",
+          attempts,
+          lastError: error.message || String(error),
+        });
+
+        if (error.retryable) break;
+      }
+    }
+  }
+}
@@ -0,0 +1,214 @@
+// timers.js - Per-problem timers, owned by the background service worker
+
+const TIMERS_KEY = "timers";
+const TIMER_MODE_KEY = "timerMode"; // "wall" | "active"
+
+/**
+ * Timers are stored as timestamps rather than ticking counters, so they keep
+ * running while the popup is closed and survive service worker restarts:
+ *   timers[slug] = { elapsedMs, startedAt, activeMs, activeSince }
+ * elapsedMs / activeMs are banked by earlier runs. startedAt is set while the
+ * timer runs; activeSince while it runs AND its problem tab is focused with
+ * the user not idle. Only background.js writes; pages go through messages.
+ */
+class ProblemTimers {
+  static pending = Promise.resolve();
+
+  // Returned by a mutate() change that left every timer as it was
+  static UNCHANGED = Symbol("unchanged");
+
+  // Slug of the problem tab the user is looking at (null when away or idle)
+  static focusedSlug = null;
+
+  static slugFromUrl(url) {
+    const match = String(url || "").match(/\/problems\/([^/?#]+)/);
+    return match ? match[1] : null;
+  }
+
+  static async list() {
+    const result = await chrome.storage.local.get(TIMERS_KEY);
+    return result[TIMERS_KEY] || {};
+  }
+
+  static async getMode() {
+    const result = await chrome.storage.local.get(TIMER_MODE_KEY);
+    return result[TIMER_MODE_KEY] === "active" ? "active" : "wall";
+  }
+
+  /**
+   * Public view of one timer. elapsedMs is the time that counts as "Time
+   * Spent" in the current mode; wallMs / activeMs are both always tracked.
+   */
+  static async get(slug, now = Date.now()) {
+    const [timers, mode] = await Promise.all([
+      ProblemTimers.list(),
+      ProblemTimers.getMode(),
+    ]);
+    return ProblemTimers.describe(slug, timers[slug], mode, now);
+  }
+
+  static describe(slug, timer, mode = "wall", now = Date.now()) {
+    const startedAt = timer?.startedAt || null;
+    const activeSince = timer?.activeSince || null;
+    const wallMs =
+      (timer?.elapsedMs || 0) + (startedAt ? Math.max(now - startedAt, 0) : 0);
+    const activeMs =
+      (timer?.activeMs || 0) +
+      (activeSince ? Math.max(now - activeSince, 0) : 0);
+
+    return {
+      slug,
+      mode,
+      elapsedMs: mode === "active" ? activeMs : wallMs,
+      wallMs,
+      activeMs,
+      isRunning: Boolean(startedAt),
+      isActive: Boolean(activeSince),
+      startedAt,
+    };
+  }
+
+  static start(slug) {
+    return ProblemTimers.update(slug, (timer, now) => {
+      if (timer.startedAt) return timer;
+      return {
+        ...timer,
+        startedAt: now,
+        activeSince: ProblemTimers.focusedSlug === slug ? now : null,
+      };
+    });
+  }
+
+  static pause(slug) {
+    return ProblemTimers.update(slug, (timer, now) => {
+      if (!timer.startedAt) return timer;
+      const current = ProblemTimers.describe(slug, timer, "wall", now);
+      return {
+        elapsedMs: current.wallMs,
+        startedAt: null,
+        activeMs: current.activeMs,
+        activeSince: null,
+      };
+    });
+  }
+
+  static reset(slug) {
+    return ProblemTimers.update(slug, () => null);
+  }
+
+  /**
+   * Manual correction of the current mode's time; a running timer keeps
+   * running from the new value
+   */
+  static set(slug, elapsedMs) {
+    const value = Math.max(Number(elapsedMs) || 0, 0);
+    return ProblemTimers.update(slug, (timer, now, mode) =>
+      mode === "active"
+        ? {
+            ...timer,
+            activeMs: value,
+            activeSince: timer.activeSince ? now : null,
+          }
+        : {
+            ...timer,
+            elapsedMs: value,
+            startedAt: timer.startedAt ? now : null,
+          },
+    );
+  }
+
+  /**
+   * Move the "active" segment to the problem the user is now looking at.
+   * Running timers keep their wall-clock time either way.
+   */
+  static focus(slug) {
+    ProblemTimers.focusedSlug = slug || null;
+    return ProblemTimers.mutate((timers, now) => {
+      let changed = false;
+      for (const [key, timer] of Object.entries(timers)) {
+        if (!timer.startedAt) continue;
+        const focused = key === ProblemTimers.focusedSlug;
+        if (focused && !timer.activeSince) {
+          timers[key] = { ...timer, activeSince: now };
+          changed = true;
+        } else if (!focused && timer.activeSince) {
+          timers[key] = {
+            ...timer,
+            activeMs:
+              (timer.activeMs || 0) + Math.max(now - timer.activeSince, 0),
+            activeSince: null,
+          };
+          changed = true;
+        }
+      }
+      return changed ? undefined : ProblemTimers.UNCHANGED;
+    });
+  }
+
+  /**
+   * Read-modify-write one timer. Returning null deletes the timer.
+   */
+  static update(slug, change) {
+    return ProblemTimers.mutate((timers, now, mode) => {
+      if (!slug) throw new Error("No problem to time");
+
+      const next = change(
+        timers[slug] || {
+          elapsedMs: 0,
+          startedAt: null,
+          activeMs: 0,
+          activeSince: null,
+        },
+        now,
+        mode,
+      );
+
+      if (next && (next.elapsedMs > 0 || next.activeMs > 0 || next.startedAt)) {
+        timers[slug] = next;
+      } else {
+        delete timers[slug];
+      }
+      return ProblemTimers.describe(slug, timers[slug], mode, now);
+    });
+  }
+
+  /**
+   * Changes are chained so concurrent messages and focus events cannot
+   * overwrite each other. A change returning UNCHANGED skips the write, so
+   * listeners on storage.onChanged are not woken for nothing.
+   */
+  static mutate(change) {
+    const run = ProblemTimers.pending.then(async () => {
+      const now = Date.now();
+      const [timers, mode] = await Promise.all([
+        ProblemTimers.list(),
+        ProblemTimers.getMode(),
+      ]);
+      const result = change(timers, now, mode);
+      if (result === ProblemTimers.UNCHANGED) return undefined;
+      await chrome.storage.local.set({ [TIMERS_KEY]: timers });
+      return result;
+    });
+    ProblemTimers.pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Move the popup's old single `timerState` into the per-problem store
+   */
+  static async migrateLegacyState() {
+    const { timerState } = await chrome.storage.local.get("timerState");
+    if (!timerState) return;
+
+    const slug = ProblemTimers.slugFromUrl(timerState.url);
+    if (slug) {
+      await ProblemTimers.update(slug, () => ({
+        elapsedMs: timerState.isRunning ? 0 : timerState.elapsedTime || 0,
+        startedAt: timerState.isRunning ? timerState.startTime : null,
+        activeMs: 0,
+        activeSince: null,
+      }));
+    }
+    await chrome.storage.local.remove("timerState");
+  }
+}